@@ -1,13 +1,291 @@
+import { loadSettings, resolveSearchProviders } from "./settings.js";
+import { fetchFontFaces, originPatterns } from "./stylesheets.js";
+import { readFontFeatures } from "./fontfeatures.js";
+
+const isRestrictedUrl = (url) => /^(chrome|edge|about|mozilla):/.test(url);
+
+// Stop FontSeek in every frame of the tab
+const stopInspector = async (tabId) => {
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    world: "MAIN",
+    func: () => window.__FS_API__?.stop()
+  });
+};
+
+// ========== PRECISE MODE (chrome.debugger) ==========
+// Asks the DevTools protocol which platform fonts actually rendered a node,
+// instead of guessing from canvas measurements. Per-tab, opt-in, and needs
+// the optional "debugger" permission.
+const DEBUGGER_VERSION = "1.3";
+const preciseKey = (tabId) => `precise:${tabId}`;
+
+const isPrecise = async (tabId) => {
+  const key = preciseKey(tabId);
+  return !!(await chrome.storage.session.get(key))[key];
+};
+
+const broadcast = (tabId, message) =>
+  chrome.tabs.sendMessage(tabId, message).catch(() => { });
+
+const attachDebugger = async (tabId) => {
+  try {
+    await chrome.debugger.attach({ tabId }, DEBUGGER_VERSION);
+  } catch (e) {
+    // Still attached from before a service worker restart
+    if (!/already attached/i.test(e?.message || "")) throw e;
+  }
+};
+
+const setPrecise = async (tabId, enabled) => {
+  if (enabled) {
+    const granted = await chrome.permissions.contains({ permissions: ["debugger"] });
+    if (!granted) {
+      await chrome.tabs.create({
+        url: chrome.runtime.getURL(`permissions.html?permissions=debugger&feature=precise&tab=${tabId}`)
+      });
+      return false;
+    }
+    await attachDebugger(tabId);
+    await chrome.storage.session.set({ [preciseKey(tabId)]: true });
+  } else {
+    await chrome.storage.session.remove(preciseKey(tabId));
+    await chrome.debugger?.detach({ tabId }).catch(() => { });
+  }
+  broadcast(tabId, { type: "fs:precise", enabled });
+  return enabled;
+};
+
+const getPlatformFonts = async (tabId, selector) => {
+  if (!(await isPrecise(tabId))) return null;
+  await attachDebugger(tabId);
+  const send = (method, params) => chrome.debugger.sendCommand({ tabId }, method, params);
+
+  await send("DOM.enable");
+  await send("CSS.enable");
+  // Nodes must be known to the backend before they can be searched
+  await send("DOM.getDocument", { depth: -1, pierce: true });
+  const { searchId, resultCount } = await send("DOM.performSearch", { query: selector });
+  try {
+    if (!resultCount) return null;
+    const { nodeIds } = await send("DOM.getSearchResults", { searchId, fromIndex: 0, toIndex: 1 });
+    const { fonts } = await send("CSS.getPlatformFontsForNode", { nodeId: nodeIds[0] });
+    return fonts.map(f => ({ family: f.familyName, postScriptName: f.postScriptName, isCustomFont: f.isCustomFont, glyphCount: f.glyphCount }));
+  } finally {
+    send("DOM.discardSearchResults", { searchId }).catch(() => { });
+  }
+};
+
+// User dismissed the "started debugging" bar, or the tab went away
+const onDebuggerDetach = async ({ tabId }) => {
+  if (!tabId || !(await isPrecise(tabId))) return;
+  await chrome.storage.session.remove(preciseKey(tabId));
+  broadcast(tabId, { type: "fs:precise", enabled: false });
+};
+// chrome.debugger only exists once the optional permission is granted
+const watchDebugger = () => {
+  if (chrome.debugger && !chrome.debugger.onDetach.hasListener(onDebuggerDetach)) {
+    chrome.debugger.onDetach.addListener(onDebuggerDetach);
+  }
+};
+watchDebugger();
+chrome.permissions.onAdded.addListener(watchDebugger);
+
+// Inspection history, kept per tab when the persistHistory setting is on
+const historyKey = (tabId) => `history:${tabId}`;
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove([preciseKey(tabId), historyKey(tabId)]);
+});
+
+// Inject the bridge (isolated world) and the inspector (page world) into every frame.
+// Cross-origin frames are only reachable once the optional host permission is granted.
+// content.js cannot read chrome.storage, so settings for the site are handed over first.
+const startInspector = async (tabId, url) => {
+  const settings = await loadSettings(new URL(url).hostname);
+  // Bound keyboard shortcuts, shown in the toolbar (command name -> "Alt+Shift+A")
+  const shortcuts = Object.fromEntries(
+    (await chrome.commands.getAll()).filter(c => c.shortcut).map(c => [c.name, c.shortcut])
+  );
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    world: "MAIN",
+    func: (s, keys) => { window.__FS_SETTINGS__ = s; window.__FS_SHORTCUTS__ = keys; },
+    args: [{ ...settings, searchProviders: resolveSearchProviders(settings) }, shortcuts]
+  });
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    files: ["bridge.js"]
+  });
+  // lib/ holds the inspector's pure logic; the files run in this order
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    files: ["lib/families.js", "lib/color.js", "lib/detection.js", "content.js"],
+    world: "MAIN" // run in page context for accurate font metrics
+  });
+};
+
+const isInspectorActive = async (tabId) => {
+  const [probe] = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: "MAIN",
+    func: () => !!window.__FS_ACTIVE__
+  });
+  return !!probe?.result;
+};
+
+const exitInspector = async (tabId) => {
+  await stopInspector(tabId);
+  await setPrecise(tabId, false);
+};
+
 chrome.action.onClicked.addListener(async (tab) => {
   if (!tab?.id || !tab.url) return;
-  if (/^(chrome|edge|about|mozilla):/.test(tab.url)) return;
+  if (isRestrictedUrl(tab.url)) return;
   try {
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id, allFrames: false },
-      files: ["content.js"],
-      world: "MAIN" // run in page context for accurate font metrics
-    });
+    if (await isInspectorActive(tab.id)) await exitInspector(tab.id);
+    else await startInspector(tab.id, tab.url);
   } catch (e) {
     console.error("FontSeek injection failed:", e);
   }
 });
+
+// Keyboard commands (toggling is "_execute_action", which fires onClicked above)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id || !tab.url) return;
+  if (isRestrictedUrl(tab.url)) return;
+  try {
+    const active = await isInspectorActive(tab.id);
+    if (command === "exit") {
+      if (active) await exitInspector(tab.id);
+      return;
+    }
+    if (!active) await startInspector(tab.id, tab.url);
+    await chrome.tabs.sendMessage(tab.id, { type: "fs:command", command }, { frameId: 0 });
+  } catch (e) {
+    console.error(`FontSeek command "${command}" failed:`, e);
+  }
+});
+
+// Context menu: inspect the font of the current text selection
+const SELECTION_MENU_ID = "fs-inspect-selection";
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: SELECTION_MENU_ID,
+    title: "Inspect font of selection",
+    contexts: ["selection"]
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId !== SELECTION_MENU_ID) return;
+  if (!tab?.id || !tab.url) return;
+  if (isRestrictedUrl(tab.url)) return;
+  try {
+    if (!(await isInspectorActive(tab.id))) await startInspector(tab.id, tab.url);
+    // The selection lives in the frame the menu was opened in
+    await chrome.tabs.sendMessage(tab.id, { type: "fs:inspect-selection" }, { frameId: info.frameId ?? 0 });
+  } catch (e) {
+    console.error("FontSeek selection inspect failed:", e);
+  }
+});
+
+// Font files are fetched with the extension's privileges, so only files the
+// page itself downloaded (bridge.js checks its resource timing), files on the
+// frame's own origin, or origins the user granted access to are read.
+const fontUrlAllowed = async (url, sender, loadedByPage) => {
+  if (/^data:/i.test(url)) return true;
+  let origin;
+  try {
+    const u = new URL(url);
+    if (u.protocol !== "https:" && u.protocol !== "http:") return false;
+    origin = u.origin;
+  } catch { return false; }
+  if (loadedByPage) return true;
+  const frameOrigin = sender.origin || (() => { try { return new URL(sender.url).origin; } catch { return null; } })();
+  if (origin === frameOrigin) return true;
+  return chrome.permissions.contains({ origins: [`${origin}/*`] }).catch(() => false);
+};
+
+// Messages from content.js (relayed by bridge.js). The top frame owns the toolbar
+// and popup; child frames forward their results to it.
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // From permissions.html after the user granted what a feature needs. Pages can
+  // post this type through bridge.js too, so only our own page is believed (it
+  // opens in a tab, so sender.tab is set; the URL is what tells them apart).
+  if (msg?.type === "fs:permission-granted") {
+    if (sender.id !== chrome.runtime.id || !sender.url?.startsWith(chrome.runtime.getURL("permissions.html"))) return;
+    if (msg.feature === "precise" && msg.tabId) {
+      setPrecise(msg.tabId, true)
+        .then(() => chrome.tabs.update(msg.tabId, { active: true }))
+        .catch((e) => console.error("FontSeek precise mode failed:", e));
+    }
+    if (msg.feature === "stylesheets" && msg.tabId) {
+      broadcast(msg.tabId, { type: "fs:stylesheets-granted" });
+      chrome.tabs.update(msg.tabId, { active: true }).catch(() => { });
+    }
+    return;
+  }
+
+  const tabId = sender.tab?.id;
+  if (!tabId || !msg?.type) return;
+
+  switch (msg.type) {
+    case "fs:to-top":
+      chrome.tabs.sendMessage(tabId, { ...msg.payload, frameId: sender.frameId }, { frameId: 0 })
+        .catch((e) => console.error("FontSeek relay failed:", e));
+      break;
+    case "fs:to-frame":
+      // Only the top frame (which owns the popup) routes into child frames
+      if (sender.frameId !== 0 || !Number.isInteger(msg.frameId)) break;
+      chrome.tabs.sendMessage(tabId, msg.payload, { frameId: msg.frameId })
+        .catch((e) => console.error("FontSeek relay failed:", e));
+      break;
+    case "fs:stop":
+      exitInspector(tabId).catch((e) => console.error("FontSeek stop failed:", e));
+      break;
+    case "fs:get-precise":
+      isPrecise(tabId).then(sendResponse);
+      return true;
+    case "fs:set-precise":
+      setPrecise(tabId, !!msg.enabled).then(sendResponse, (e) => {
+        console.error("FontSeek precise mode failed:", e);
+        sendResponse(false);
+      });
+      return true;
+    case "fs:fetch-stylesheets":
+      fetchFontFaces(msg.urls || []).then(sendResponse, (e) => {
+        console.error("FontSeek stylesheet fetch failed:", e);
+        sendResponse(null);
+      });
+      return true;
+    case "fs:grant-stylesheets": {
+      const origins = originPatterns(msg.urls || []);
+      if (origins.length) {
+        chrome.tabs.create({
+          url: chrome.runtime.getURL(`permissions.html?origins=${encodeURIComponent(origins.join(","))}&feature=stylesheets&tab=${tabId}`)
+        });
+      }
+      break;
+    }
+    case "fs:history-load":
+      chrome.storage.session.get(historyKey(tabId))
+        .then((stored) => sendResponse(stored[historyKey(tabId)] || []));
+      return true;
+    case "fs:history-save":
+      chrome.storage.session.set({ [historyKey(tabId)]: msg.entries || [] });
+      break;
+    case "fs:font-features":
+      fontUrlAllowed(String(msg.url || ""), sender, !!msg.loadedByPage).then((ok) =>
+        ok ? readFontFeatures(String(msg.url)) : { error: "Font file isn't on this page's origin" }
+      ).then(sendResponse);
+      return true;
+    case "fs:platform-fonts":
+      getPlatformFonts(tabId, msg.selector).then(sendResponse, (e) => {
+        console.error("FontSeek platform font lookup failed:", e);
+        sendResponse(null);
+      });
+      return true;
+  }
+});
@@ -0,0 +1,76 @@
+/**
+ * FontSeek — Messaging Bridge
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * content.js runs in the page's MAIN world (for accurate font metrics), where
+ * chrome.runtime is not available. This script runs in the isolated world of
+ * the same frame and relays messages between the two over window.postMessage.
+ *
+ * Page scripts share that channel: they can post messages that look like ours
+ * and read everything we deliver. Only the message types the inspector uses
+ * are relayed, in either direction. Results from child frames still travel
+ * to the top frame's inspector this way, so while FontSeek is active, scripts
+ * on the top page could read what was inspected inside a cross-origin frame
+ * (family, selector, a text snippet). Rendering the popup from this isolated
+ * world would close that gap; measuring fonts needs the page world, so the
+ * trade-off is accepted for now.
+ */
+
+(() => {
+  if (globalThis.__FS_BRIDGE__) return;
+  globalThis.__FS_BRIDGE__ = true;
+
+  const PAGE_SOURCE = "fontseek:page";
+  const BRIDGE_SOURCE = "fontseek:bridge";
+
+  // What content.js may ask of the service worker, and which payloads it may
+  // route through the top frame (fs:to-top) or into a child frame (fs:to-frame)
+  const PAGE_MESSAGES = new Set([
+    "fs:stop", "fs:get-precise", "fs:set-precise", "fs:history-load", "fs:history-save",
+    "fs:fetch-stylesheets", "fs:grant-stylesheets", "fs:font-features", "fs:platform-fonts",
+    "fs:to-top", "fs:to-frame"
+  ]);
+  const ROUTED_PAYLOADS = {
+    "fs:to-top": new Set(["fs:inspection", "fs:platform-fonts", "fs:font-features"]),
+    "fs:to-frame": new Set(["fs:highlight-inspection", "fs:live-edit"])
+  };
+  const EXTENSION_MESSAGES = new Set([
+    "fs:inspection", "fs:platform-fonts", "fs:font-features", "fs:highlight-inspection", "fs:live-edit",
+    "fs:precise", "fs:command", "fs:inspect-selection", "fs:stylesheets-granted"
+  ]);
+  const relayable = (message) =>
+    PAGE_MESSAGES.has(message?.type) &&
+    (!ROUTED_PAYLOADS[message.type] || ROUTED_PAYLOADS[message.type].has(message.payload?.type));
+
+  // Only stylesheets this document actually links may be fetched by the extension
+  const STYLESHEET_MESSAGES = new Set(["fs:fetch-stylesheets", "fs:grant-stylesheets"]);
+  const linkedStylesheets = () => new Set(Array.from(document.styleSheets, s => s.href).filter(Boolean));
+
+  // page -> extension (with optional reply)
+  window.addEventListener("message", (e) => {
+    if (e.source !== window || e.data?.source !== PAGE_SOURCE) return;
+    const { id } = e.data;
+    let { message } = e.data;
+    if (!relayable(message)) {
+      if (id) window.postMessage({ source: BRIDGE_SOURCE, id, reply: null }, "*");
+      return;
+    }
+    if (STYLESHEET_MESSAGES.has(message?.type)) {
+      const linked = linkedStylesheets();
+      message = { ...message, urls: (message.urls || []).filter(u => linked.has(u)) };
+    }
+    // Tell the service worker whether this document really downloaded the font
+    if (message.type === "fs:font-features") {
+      message = { ...message, loadedByPage: performance.getEntriesByName(String(message.url || "")).length > 0 };
+    }
+    chrome.runtime.sendMessage(message)
+      .then((reply) => window.postMessage({ source: BRIDGE_SOURCE, id, reply: reply ?? null }, "*"))
+      .catch(() => window.postMessage({ source: BRIDGE_SOURCE, id, reply: null }, "*"));
+  });
+
+  // extension -> page
+  chrome.runtime.onMessage.addListener((message) => {
+    if (!EXTENSION_MESSAGES.has(message?.type)) return;
+    window.postMessage({ source: BRIDGE_SOURCE, message }, "*");
+  });
+})();
@@ -4,15 +4,52 @@
  */
 
 (() => {
+  // Hand-offs from background.js, taken before the double-activation check so
+  // a second injection (which only stops the inspector) doesn't leave them behind:
+  // shared helpers (lib/*.js) injected just before this file, and the settings
+  // resolved for this site by settings.js
+  const lib = window.__FS_LIB__;
+  const settings = window.__FS_SETTINGS__;
+  const shortcuts = window.__FS_SHORTCUTS__ || {}; // command name -> bound keys
+  delete window.__FS_LIB__;
+  delete window.__FS_SETTINGS__;
+  delete window.__FS_SHORTCUTS__;
+
   // prevent double activation
   if (window.__FS_ACTIVE__) { window.__FS_API__?.stop(); return; }
   window.__FS_ACTIVE__ = true;
 
   // globals
-  let exitEl, highlightEl;
-  let keyHandler, mouseMoveHandler, windowClickHandler;
+  let exitEl, exitStatusEl, highlightEl;
+  let keyHandler, mouseMoveHandler, windowClickHandler, messageHandler;
   let lastClick = { x: 24, y: 24 };
 
+  // precise mode: rendered fonts from the DevTools protocol (see background.js)
+  let preciseMode = false, preciseBtn = null;
+  let currentInspectionId = null;
+  let lastInspection = null;
+
+  // compare mode: an inspection pinned for diffing against the next pick
+  let pinnedInspection = null, pinChip = null;
+
+  // history: the top frame lists past inspections; every frame remembers its own elements
+  let inspectionHistory = [], historyOpen = false;
+
+  // "Why this font?" stays expanded across inspections once opened
+  let whyOpen = false;
+  const inspectedElements = new Map(); // inspection id -> WeakRef(element)
+
+  const {
+    GENERIC_FAMILIES: genericSet, ALIAS_FAMILIES: ALIAS_SET, parseFamilies, normalizeWeightNumber, formatWeight,
+    parseHexToRgb, rgbToHsl, rgbToCmyk, createDetector
+  } = lib;
+
+  // frames: the top frame owns the toolbar and popup, child frames only pick
+  const isTopFrame = window.top === window;
+
+  // bars FontSeek adds straight to the page (outside any shadow root)
+  const PAGE_UI = "#fs-exit, #fs-font-matches, #fs-font-swap, #fs-font-scan";
+
   // popup (shadow)
   let popupHost = null, popupRoot = null, popupCard = null, rowsEl = null;
 
@@ -78,7 +115,7 @@
     return null;
   };
 
-  // Tracking flag for forced detection mode
+  // Set by findTextElement when the picked element had to be guessed
   let usedForcedMode = false;
 
   // Check if element is a likely "overlay" or container without real text
@@ -209,7 +246,7 @@
 
       for (const candidate of elements) {
         // Skip our own UI elements
-        if (candidate.id?.startsWith("fs-") || candidate.closest?.("#fs-exit")) continue;
+        if (candidate.id?.startsWith("fs-") || candidate.closest?.(PAGE_UI)) continue;
         if (candidate === document.body || candidate === document.documentElement) continue;
 
         const score = scoreTextElement(candidate, x, y);
@@ -293,31 +330,90 @@
   // These strategies target sites like Shopify, Framer, Webflow that use
   // advanced font loading techniques that bypass normal getComputedStyle detection.
 
-  // Strategy A: Use document.fonts API to get all loaded fonts
-  const getLoadedWebFonts = () => {
-    const fonts = [];
-    try {
-      if (document.fonts && typeof document.fonts.forEach === "function") {
-        document.fonts.forEach((fontFace) => {
-          if (fontFace.status === "loaded" && fontFace.family) {
-            const family = fontFace.family.replace(/^["']|["']$/g, "").trim();
-            if (family && !genericSet.has(family.toLowerCase())) {
-              fonts.push({
-                family,
-                weight: fontFace.weight || "normal",
-                style: fontFace.style || "normal"
-              });
-            }
-          }
-        });
-      }
-    } catch (e) { /* ignore */ }
-    return fonts;
+  // Strategy B: Parse @font-face rules from all stylesheets
+  // src: url(a.woff2) format("woff2"), local("X") -> [{ url, format } | { local }]
+  const splitTopLevel = (str) => {
+    const parts = [];
+    let depth = 0, quote = null, cur = "";
+    for (const ch of str) {
+      if (quote) { if (ch === quote) quote = null; }
+      else if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === "(") depth++;
+      else if (ch === ")") depth--;
+      else if (ch === "," && depth === 0) { parts.push(cur.trim()); cur = ""; continue; }
+      cur += ch;
+    }
+    if (cur.trim()) parts.push(cur.trim());
+    return parts;
+  };
+  const unquote = (v) => String(v || "").trim().replace(/^["']|["']$/g, "");
+  const FORMAT_BY_EXT = { woff2: "woff2", woff: "woff", ttf: "truetype", otf: "opentype", eot: "embedded-opentype", svg: "svg" };
+
+  const parseFontSrc = (src, baseUrl) => splitTopLevel(src || "").map((part) => {
+    const local = part.match(/local\(([^)]*)\)/i);
+    if (local) return { local: unquote(local[1]) };
+    const url = part.match(/url\(([^)]*)\)/i);
+    if (!url) return null;
+    let href = unquote(url[1]);
+    try { href = new URL(href, baseUrl).href; } catch { }
+    const fmt = part.match(/format\(([^)]*)\)/i);
+    const tech = part.match(/tech\(([^)]*)\)/i);
+    const ext = (href.startsWith("data:") ? "" : href.split(/[?#]/)[0].split(".").pop() || "").toLowerCase();
+    return {
+      url: href,
+      format: fmt ? unquote(fmt[1]) : (FORMAT_BY_EXT[ext] || "unknown"),
+      tech: tech ? splitTopLevel(tech[1]).map(unquote) : []
+    };
+  }).filter(Boolean);
+
+  // Everything a @font-face says about one face; `get` reads a descriptor
+  const readFontFace = (get, baseUrl, sheet) => ({
+    family: unquote(get("font-family")),
+    weight: get("font-weight") || "400",
+    style: get("font-style") || "normal",
+    stretch: get("font-stretch") || "normal",
+    src: parseFontSrc(get("src"), baseUrl),
+    display: get("font-display") || "auto",
+    unicodeRange: get("unicode-range") || "",
+    sizeAdjust: get("size-adjust") || "",
+    ascentOverride: get("ascent-override") || "",
+    descentOverride: get("descent-override") || "",
+    lineGapOverride: get("line-gap-override") || "",
+    sheet
+  });
+
+  const readFontFaceRule = (rule) => readFontFace(
+    (prop) => rule.style.getPropertyValue(prop).trim(),
+    rule.parentStyleSheet?.href || document.baseURI,
+    rule.parentStyleSheet?.href || null
+  );
+
+  // ========== CROSS-ORIGIN STYLESHEETS ==========
+  // cssRules throws for sheets served from other origins; the service worker
+  // fetches those (see stylesheets.js) and hands back their @font-face blocks.
+  let remoteFontFaces = [];  // faces marked via: "extension"
+  let unreadableSheets = []; // sheet URLs the extension couldn't fetch either
+
+  const getBlockedStylesheetUrls = () => {
+    const urls = new Set();
+    for (const sheet of document.styleSheets) {
+      try { void sheet.cssRules; } catch { if (sheet.href) urls.add(sheet.href); }
+    }
+    return Array.from(urls);
   };
 
-  // Strategy B: Parse @font-face rules from all stylesheets
-  const getFontFaceRules = () => {
-    const fonts = new Map(); // family -> { weights: Set, styles: Set }
+  const loadRemoteFontFaces = async () => {
+    const urls = getBlockedStylesheetUrls();
+    if (urls.length === 0) return;
+    const reply = await sendToExtension({ type: "fs:fetch-stylesheets", urls });
+    if (!reply) return;
+    remoteFontFaces = reply.sheets.flatMap(({ url, faces }) =>
+      faces.map(d => ({ ...readFontFace((prop) => d[prop] || "", url, url), via: "extension" })));
+    unreadableSheets = reply.failed;
+  };
+
+  const readFontFaceRules = () => {
+    const fonts = new Map(); // family -> { weights: Set, styles: Set, faces: [] }
     try {
       for (const sheet of document.styleSheets) {
         try {
@@ -325,29 +421,285 @@
           if (!sheet.cssRules) continue;
           for (const rule of sheet.cssRules) {
             if (rule.type === CSSRule.FONT_FACE_RULE) {
-              const style = rule.style;
-              let family = style.getPropertyValue("font-family").trim();
-              family = family.replace(/^["']|["']$/g, "").trim();
+              const face = readFontFaceRule(rule);
+              const family = face.family;
               if (!family || genericSet.has(family.toLowerCase())) continue;
 
-              const weight = style.getPropertyValue("font-weight") || "400";
-              const fontStyle = style.getPropertyValue("font-style") || "normal";
-
               if (!fonts.has(family)) {
-                fonts.set(family, { weights: new Set(), styles: new Set() });
+                fonts.set(family, { weights: new Set(), styles: new Set(), faces: [] });
               }
-              fonts.get(family).weights.add(weight);
-              fonts.get(family).styles.add(fontStyle);
+              fonts.get(family).weights.add(face.weight);
+              fonts.get(family).styles.add(face.style);
+              fonts.get(family).faces.push(face);
             }
           }
         } catch (e) {
-          // Cross-origin stylesheet, skip
+          // Cross-origin stylesheet, read through the extension instead
         }
       }
     } catch (e) { /* ignore */ }
+
+    for (const face of remoteFontFaces) {
+      const family = face.family;
+      if (!family || genericSet.has(family.toLowerCase())) continue;
+      if (!fonts.has(family)) {
+        fonts.set(family, { weights: new Set(), styles: new Set(), faces: [] });
+      }
+      fonts.get(family).weights.add(face.weight);
+      fonts.get(family).styles.add(face.style);
+      fonts.get(family).faces.push(face);
+    }
     return fonts;
   };
 
+  // Walking every stylesheet is costly, and one inspection asks several times
+  // (detector, face sources, glyph runs), so the map is shared while it runs
+  let fontFaceRulesScope = null; // { rules } during collectInspection
+  const getFontFaceRules = () => {
+    if (!fontFaceRulesScope) return readFontFaceRules();
+    return (fontFaceRulesScope.rules ??= readFontFaceRules());
+  };
+
+  // Faces of `family` that serve the given weight/style (all unicode-range subsets)
+  const matchFontFaces = (family, weight, style) => {
+    if (!family) return [];
+    let faces = [];
+    for (const [name, data] of getFontFaceRules()) {
+      if (name.toLowerCase() === family.toLowerCase()) faces = data.faces;
+    }
+    if (faces.length === 0) return [];
+
+    const n = normalizeWeightNumber(weight);
+    const wantItalic = /italic|oblique/i.test(style || "");
+    const range = (w) => {
+      const nums = String(w).split(/\s+/).map(normalizeWeightNumber);
+      return [Math.min(...nums), Math.max(...nums)];
+    };
+    const sameStyle = faces.filter(f => /italic|oblique/i.test(f.style) === wantItalic);
+    const pool = sameStyle.length ? sameStyle : faces;
+    const exact = pool.filter(f => { const [lo, hi] = range(f.weight); return n >= lo && n <= hi; });
+    if (exact.length) return exact;
+
+    // No face covers the weight: the browser synthesizes from the nearest one
+    const dist = (f) => { const [lo, hi] = range(f.weight); return Math.min(Math.abs(n - lo), Math.abs(n - hi)); };
+    const best = Math.min(...pool.map(dist));
+    return pool.filter(f => dist(f) === best);
+  };
+
+  // ========== VARIABLE FONT AXES ==========
+  // A face declaring a range ("font-weight: 100 900") covers the whole axis
+  // from one file; static families declare one @font-face per instance.
+  const parseRange = (value, parse) => {
+    const parts = String(value || "").trim().split(/\s+/).map(parse).filter(n => !isNaN(n));
+    return parts.length === 2 && parts[0] !== parts[1] ? [Math.min(...parts), Math.max(...parts)] : null;
+  };
+  const STRETCH_KEYWORDS = {
+    "ultra-condensed": 50, "extra-condensed": 62.5, "condensed": 75, "semi-condensed": 87.5, "normal": 100,
+    "semi-expanded": 112.5, "expanded": 125, "extra-expanded": 150, "ultra-expanded": 200
+  };
+  const parseStretch = (v) => STRETCH_KEYWORDS[v] ?? parseFloat(v);
+
+  const faceAxes = (face) => {
+    const axes = [];
+    const wght = parseRange(face.weight, (v) => parseFloat(v));
+    if (wght) axes.push({ tag: "wght", min: wght[0], max: wght[1], unit: "" });
+    const wdth = parseRange(face.stretch, parseStretch);
+    if (wdth) axes.push({ tag: "wdth", min: wdth[0], max: wdth[1], unit: "%" });
+    const slnt = /^oblique\s/i.test(face.style) ? parseRange(face.style.replace(/^oblique\s+/i, ""), (v) => parseFloat(v)) : null;
+    // CSS oblique angles run opposite to the slnt axis (oblique 10deg = slnt -10)
+    if (slnt) axes.push({ tag: "slnt", min: -slnt[1], max: -slnt[0], unit: "deg" });
+    return axes;
+  };
+
+  const isVariableFace = (face) => faceAxes(face).length > 0 ||
+    face.src.some(s => /variations/i.test(s.format || "") || (s.tech || []).some(t => /variations/i.test(t)));
+
+  const describeVariation = (cs, faces) => {
+    const axes = new Map();
+    for (const face of faces) {
+      for (const a of faceAxes(face)) {
+        const prev = axes.get(a.tag);
+        axes.set(a.tag, prev ? { ...a, min: Math.min(prev.min, a.min), max: Math.max(prev.max, a.max) } : a);
+      }
+    }
+    return {
+      settings: cs.fontVariationSettings || "normal",
+      opticalSizing: cs.fontOpticalSizing || "auto",
+      stretch: cs.fontStretch || "normal",
+      axes: Array.from(axes.values()),
+      isVariable: faces.some(isVariableFace)
+    };
+  };
+
+  // ========== OPENTYPE FEATURES ==========
+  // font-variant-* keywords are shorthands for OpenType feature tags
+  const VARIANT_FEATURES = {
+    fontVariantLigatures: {
+      "common-ligatures": ["liga", "clig"], "no-common-ligatures": ["-liga", "-clig"],
+      "discretionary-ligatures": ["dlig"], "no-discretionary-ligatures": ["-dlig"],
+      "historical-ligatures": ["hlig"], "no-historical-ligatures": ["-hlig"],
+      "contextual": ["calt"], "no-contextual": ["-calt"],
+      "none": ["-liga", "-clig", "-dlig", "-hlig", "-calt"]
+    },
+    fontVariantNumeric: {
+      "lining-nums": ["lnum"], "oldstyle-nums": ["onum"], "proportional-nums": ["pnum"], "tabular-nums": ["tnum"],
+      "diagonal-fractions": ["frac"], "stacked-fractions": ["afrc"], "ordinal": ["ordn"], "slashed-zero": ["zero"]
+    },
+    fontVariantCaps: {
+      "small-caps": ["smcp"], "all-small-caps": ["smcp", "c2sc"], "petite-caps": ["pcap"],
+      "all-petite-caps": ["pcap", "c2pc"], "unicase": ["unic"], "titling-caps": ["titl"]
+    },
+    fontVariantPosition: { "sub": ["subs"], "super": ["sups"] },
+    fontKerning: { "none": ["-kern"] }
+  };
+  const CSS_PROPERTY = {
+    fontFeatureSettings: "font-feature-settings", fontVariantLigatures: "font-variant-ligatures",
+    fontVariantNumeric: "font-variant-numeric", fontVariantCaps: "font-variant-caps",
+    fontVariantPosition: "font-variant-position", fontKerning: "font-kerning"
+  };
+
+  // '"tnum", "ss01" 0' -> [{ tag: "tnum", on: true }, { tag: "ss01", on: false }]
+  const parseFeatureSettings = (value) => {
+    if (!value || value === "normal") return [];
+    return splitTopLevel(value).flatMap((part) => {
+      const m = part.trim().match(/^["']([\x20-\x7e]{4})["']\s*(on|off|\d+)?$/);
+      return m ? [{ tag: m[1], on: m[2] !== "off" && m[2] !== "0" }] : [];
+    });
+  };
+
+  const describeOpenType = (cs, faces) => {
+    const properties = {};
+    const features = new Map(); // tag -> { tag, on, source }
+    for (const [key, prop] of Object.entries(CSS_PROPERTY)) {
+      const value = cs[key];
+      if (!value || value === "normal" || value === "auto") continue;
+      properties[prop] = value;
+      if (key === "fontFeatureSettings") continue;
+      for (const keyword of value.split(/\s+/)) {
+        for (const t of VARIANT_FEATURES[key][keyword] || []) {
+          const on = !t.startsWith("-");
+          const tag = on ? t : t.slice(1);
+          features.set(tag, { tag, on, source: `${prop}: ${keyword}` });
+        }
+      }
+    }
+    // font-feature-settings is applied last and wins over font-variant-*
+    for (const f of parseFeatureSettings(cs.fontFeatureSettings)) {
+      features.set(f.tag, { ...f, source: "font-feature-settings" });
+    }
+
+    // A file the service worker can parse; woff2 late since it needs brotli
+    const rank = { truetype: 0, opentype: 0, woff: 1, woff2: 2, unknown: 3 };
+    const rankOf = (s) => rank[s.format.replace(/-variations$/, "")];
+    const srcs = faces.flatMap(f => f.src).filter(s => s.url && rankOf(s) !== undefined);
+    srcs.sort((a, b) => rankOf(a) - rankOf(b));
+
+    return { properties, features: Array.from(features.values()), fontUrl: srcs[0]?.url || null };
+  };
+
+  // ========== GLYPH FALLBACK RUNS ==========
+  // One element can render in several fonts: characters missing from the first
+  // family fall through the stack (CJK, Arabic, emoji in a Latin font).
+  const RUN_SCRIPTS = [
+    ["Emoji", /\p{Extended_Pictographic}/u],
+    ...["Latin", "Greek", "Cyrillic", "Armenian", "Hebrew", "Arabic", "Devanagari", "Bengali", "Tamil", "Thai",
+      "Georgian", "Ethiopic", "Hangul", "Hiragana", "Katakana", "Han"].map(s => [s, new RegExp(`\\p{Script=${s}}`, "u")])
+  ];
+  const NEUTRAL_CHAR = /[\s\p{Script=Common}\p{Script=Inherited}]/u;
+  const MAX_RUN_TEXT = 400;
+  const MAX_PROBED_CHARS = 80;
+
+  const scriptOf = (ch) => {
+    for (const [name, re] of RUN_SCRIPTS) if (re.test(ch)) return name;
+    return NEUTRAL_CHAR.test(ch) ? null : "Other";
+  };
+
+  // "U+0000-00FF, U+4??" -> [[0, 255], [0x400, 0x4ff]]
+  const parseUnicodeRange = (value) => splitTopLevel(value || "").flatMap((part) => {
+    const m = part.trim().match(/^u\+([0-9a-f?]+)(?:-([0-9a-f]+))?$/i);
+    if (!m) return [];
+    const lo = parseInt(m[1].replace(/\?/g, "0"), 16);
+    const hi = parseInt(m[2] || m[1].replace(/\?/g, "f"), 16);
+    return [[lo, hi]];
+  });
+
+  // Pixels differ from the bare fallback only if `family` drew the glyph itself
+  let glyphCtx = null;
+  const glyphCoverage = new Map();
+  const drawGlyph = (ch, font) => {
+    if (!glyphCtx) {
+      const canvas = document.createElement("canvas");
+      canvas.width = canvas.height = 48;
+      glyphCtx = canvas.getContext("2d", { willReadFrequently: true });
+    }
+    glyphCtx.clearRect(0, 0, 48, 48);
+    glyphCtx.font = font;
+    glyphCtx.textBaseline = "middle";
+    glyphCtx.fillText(ch, 4, 24);
+    return glyphCtx.getImageData(0, 0, 48, 48).data;
+  };
+  const samePixels = (a, b) => a.every((v, i) => v === b[i]);
+
+  const hasGlyph = (family, ch, weight, style, faceMap) => {
+    const key = `${family}|${weight}|${style}|${ch}`;
+    if (glyphCoverage.has(key)) return glyphCoverage.get(key);
+    let covered;
+    const faces = faceMap.get(family.toLowerCase());
+    const cp = ch.codePointAt(0);
+    if (faces?.length && faces.every(f => f.unicodeRange) &&
+      !faces.some(f => parseUnicodeRange(f.unicodeRange).some(([lo, hi]) => cp >= lo && cp <= hi))) {
+      covered = false; // no subset of this web font includes the character
+    } else {
+      covered = ["serif", "monospace"].some(fb =>
+        !samePixels(drawGlyph(ch, `${style} ${weight} 32px "${family}", ${fb}`), drawGlyph(ch, `${style} ${weight} 32px ${fb}`)));
+    }
+    glyphCoverage.set(key, covered);
+    return covered;
+  };
+
+  // Split the element's text into runs of [script, rendering family]
+  const describeGlyphRuns = (el, cs, primary) => {
+    const text = (el.innerText || el.textContent || "").replace(/\s+/g, " ").trim().slice(0, MAX_RUN_TEXT);
+    if (!text) return [];
+    const stack = parseFamilies(cs.fontFamily).filter(f => !genericSet.has(f.toLowerCase()));
+    const generic = parseFamilies(cs.fontFamily).find(f => genericSet.has(f.toLowerCase()));
+    const weight = normalizeWeightNumber(cs.fontWeight);
+    const style = /italic|oblique/i.test(cs.fontStyle) ? "italic" : "normal";
+    const faceMap = new Map();
+    for (const [name, data] of getFontFaceRules()) faceMap.set(name.toLowerCase(), data.faces);
+
+    const renderer = new Map(); // char -> family
+    const familyFor = (ch) => {
+      if (!renderer.has(ch)) {
+        const found = renderer.size < MAX_PROBED_CHARS
+          ? stack.find(f => hasGlyph(f, ch, weight, style, faceMap))
+          : primary;
+        renderer.set(ch, found || (generic ? `${generic} (system)` : "System fallback"));
+      }
+      return renderer.get(ch);
+    };
+
+    const runs = [];
+    for (const ch of text) {
+      const script = scriptOf(ch);
+      const last = runs[runs.length - 1];
+      // Spaces, digits and punctuation stay with the run they sit in
+      if (!script && last) { last.text += ch; continue; }
+      const family = script ? familyFor(ch) : primary;
+      if (last && last.family === family && (last.script === script || !last.script)) {
+        last.text += ch;
+        last.script = last.script || script;
+      } else {
+        runs.push({ text: ch, script, family });
+      }
+    }
+    return runs.map(r => ({
+      ...r,
+      script: r.script || "Common",
+      fallback: !!primary && r.family.toLowerCase() !== primary.toLowerCase()
+    }));
+  };
+
   // Strategy C: Check if any custom font from @font-face actually renders differently
   const findActualRenderedFont = (el, declaredFamilies) => {
     if (!el) return null;
@@ -383,187 +735,469 @@
     return null;
   };
 
-  // Strategy D: Nuclear option - scan document for inline style font-family declarations
-  const findInlineStyleFonts = (el) => {
-    if (!el) return [];
-    const fonts = [];
-
-    // Check the element and all ancestors for inline font-family
-    let node = el;
-    for (let i = 0; i < 10 && node; i++) {
-      try {
-        if (node.nodeType === 1 && node.style?.fontFamily) {
-          const families = parseFamilies(node.style.fontFamily);
-          fonts.push(...families);
-        }
-      } catch (e) { /* ignore */ }
-      node = ascend(node);
+  // ========== PAGE-WIDE FONT SCANNER ==========
+  // Walks every visible text node in idle-time chunks and records, per family,
+  // how many characters and elements it renders (by weight/style and context)
+  const CONTEXT_SELECTORS = {
+    "Heading": "h1, h2, h3, h4, h5, h6",
+    "Body": "p, article, section, main, .content, .text, [class*='body'], [class*='paragraph']",
+    "Nav": "nav, header, .nav, .navbar, .menu, [class*='nav']",
+    "Link": "a",
+    "Button": "button, .btn, [class*='button'], input[type='submit']",
+    "Form": "input, textarea, select, label, .form",
+    "Footer": "footer, .footer",
+    "Code": "code, pre, .code, [class*='mono']",
+    "List": "li, ul, ol",
+    "Table": "table, th, td"
+  };
+  const MIN_NODES_PER_CHUNK = 50;
+
+  // The nearest matching ancestor decides (a link inside <main> is a Link)
+  const contextOf = (el) => {
+    let best = null, bestEl = null;
+    for (const [context, selector] of Object.entries(CONTEXT_SELECTORS)) {
+      const match = el.closest(selector);
+      if (match && (!bestEl || bestEl.contains(match))) { best = context; bestEl = match; }
     }
-
-    return fonts;
+    return best;
   };
 
-  // Strategy E: Check CSS custom properties (CSS variables) for font definitions
-  const findCSSVariableFonts = (el) => {
-    const fonts = [];
-    try {
-      const cs = getComputedStyle(el);
-      // Common CSS variable patterns for fonts
-      const varPatterns = [
-        "--font-family", "--heading-font", "--body-font", "--primary-font",
-        "--font-sans", "--font-serif", "--font-mono", "--typography-font",
-        "--font-main", "--font-base", "--text-font", "--ff-primary"
-      ];
-
-      for (const varName of varPatterns) {
-        const value = cs.getPropertyValue(varName).trim();
-        if (value) {
-          fonts.push(...parseFamilies(value));
-        }
-      }
-    } catch (e) { /* ignore */ }
-    return fonts;
+  const whenIdle = (cb) => {
+    if (window.requestIdleCallback) return requestIdleCallback(cb, { timeout: 200 });
+    const start = performance.now();
+    return setTimeout(() => cb({ timeRemaining: () => Math.max(0, start + 8 - performance.now()) }), 0);
   };
 
-  // ========== PAGE-WIDE FONT SCANNER ==========
-  // Scans the entire page for all fonts and groups them by usage context
-  const scanPageFonts = () => {
-    const fontUsage = new Map(); // fontName -> { contexts: Set, weights: Set, styles: Set }
+  // Fonts seen on the page: declared faces, loaded faces and the families
+  // text nodes render in. Counts follow the DOM: removed text is subtracted.
+  const createFontInventory = () => {
+    const fontUsage = new Map(); // fontName -> { contexts, weights, styles, chars, elements, variants, addedLater }
+    const seen = new WeakMap(); // element -> { entry, variant, texts, stack, family }, or null when skipped
+    const credited = new WeakMap(); // text node -> { el, usage, chars }
+    let faceMap = new Map();
+    let settled = false; // families added after the first full scan are marked
+    let revision = 0; // bumps when a family, context, weight or style is added, or text is taken back
 
     const addFont = (fontName, context, weight = "400", style = "normal") => {
-      if (!fontName) return;
+      if (!fontName) return null;
       const clean = fontName.trim().replace(/^['"]|['"]$/g, "");
-      if (!clean || genericSet.has(clean.toLowerCase()) || ALIAS_SET.has(clean.toLowerCase())) return;
+      if (!clean || genericSet.has(clean.toLowerCase()) || ALIAS_SET.has(clean.toLowerCase())) return null;
 
       if (!fontUsage.has(clean)) {
-        fontUsage.set(clean, { contexts: new Set(), weights: new Set(), styles: new Set() });
+        fontUsage.set(clean, {
+          contexts: new Set(), weights: new Set(), styles: new Set(),
+          chars: 0, elements: 0, variants: new Map(), addedLater: settled
+        });
+        revision++;
       }
       const entry = fontUsage.get(clean);
-      if (context) entry.contexts.add(context);
-      if (weight) entry.weights.add(String(weight));
-      if (style) entry.styles.add(style);
+      const add = (set, value) => { if (value && !set.has(value)) { set.add(value); revision++; } };
+      add(entry.contexts, context);
+      add(entry.weights, weight && String(weight));
+      add(entry.styles, style);
+      return entry;
     };
 
-    // Strategy 1: Get all @font-face rules
-    try {
-      for (const sheet of document.styleSheets) {
-        try {
-          if (!sheet.cssRules) continue;
-          for (const rule of sheet.cssRules) {
-            if (rule.type === CSSRule.FONT_FACE_RULE) {
-              const s = rule.style;
-              const family = s.getPropertyValue("font-family");
-              const weight = s.getPropertyValue("font-weight") || "400";
-              const style = s.getPropertyValue("font-style") || "normal";
-              addFont(family, "@font-face", weight, style);
-            }
-          }
-        } catch (e) { /* cross-origin */ }
+    // Strategy 1: Get all @font-face rules (faces kept for the source details)
+    const addFaceRules = () => {
+      faceMap = getFontFaceRules();
+      for (const [family, data] of faceMap) {
+        for (const face of data.faces) {
+          addFont(family, face.via === "extension" ? "Cross-origin CSS" : "@font-face", face.weight, face.style);
+        }
       }
-    } catch (e) { /* ignore */ }
+    };
 
     // Strategy 2: Get all loaded fonts from document.fonts
-    try {
-      if (document.fonts && typeof document.fonts.forEach === "function") {
-        document.fonts.forEach((fontFace) => {
-          if (fontFace.status === "loaded") {
-            addFont(fontFace.family, "loaded", fontFace.weight, fontFace.style);
+    const addLoadedFaces = () => {
+      try {
+        if (document.fonts && typeof document.fonts.forEach === "function") {
+          document.fonts.forEach((fontFace) => {
+            if (fontFace.status === "loaded") {
+              addFont(fontFace.family, "loaded", fontFace.weight, fontFace.style);
+            }
+          });
+        }
+      } catch (e) { /* ignore */ }
+    };
+
+    // Strategy 3: A text node, credited to the family that renders it. With
+    // `recheck`, text already credited moves if its stack now resolves to
+    // another family (a web font finished loading).
+    const visitText = (node, recheck = false) => {
+      const chars = node.nodeValue.replace(/\s+/g, "").length;
+      const el = node.parentElement;
+      if (!chars || !el) return;
+      const credit = credited.get(node);
+      if (credit) {
+        if (!recheck || renderedFamilyOf(credit.usage.stack) === credit.usage.family) return;
+        forgetText(node);
+        if (seen.get(el) === credit.usage) seen.delete(el);
+      }
+      if (!seen.has(el)) {
+        let usage = null;
+        if (!el.closest(`${PAGE_UI}, script, style, noscript, template`) && (!el.checkVisibility || el.checkVisibility())) {
+          const cs = getComputedStyle(el);
+          const family = renderedFamilyOf(cs.fontFamily);
+          const entry = addFont(family, contextOf(el), cs.fontWeight, cs.fontStyle);
+          if (entry) {
+            const key = `${normalizeWeightNumber(cs.fontWeight)} ${cs.fontStyle}`;
+            if (!entry.variants.has(key)) {
+              entry.variants.set(key, { weight: String(normalizeWeightNumber(cs.fontWeight)), style: cs.fontStyle, chars: 0, elements: 0 });
+            }
+            usage = { entry, variant: entry.variants.get(key), texts: 0, stack: cs.fontFamily, family };
           }
-        });
+        }
+        seen.set(el, usage);
       }
-    } catch (e) { /* ignore */ }
+      const usage = seen.get(el);
+      if (!usage) return;
+      // An element counts once, while any of its text nodes is credited
+      if (usage.texts++ === 0) {
+        usage.entry.elements++;
+        usage.variant.elements++;
+      }
+      usage.entry.chars += chars;
+      usage.variant.chars += chars;
+      credited.set(node, { el, usage, chars });
+    };
 
-    // Strategy 3: Scan actual DOM elements for font usage with context
-    const contextSelectors = {
-      "Heading": "h1, h2, h3, h4, h5, h6",
-      "Body": "p, article, section, main, .content, .text, [class*='body'], [class*='paragraph']",
-      "Nav": "nav, header, .nav, .navbar, .menu, [class*='nav']",
-      "Link": "a",
-      "Button": "button, .btn, [class*='button'], input[type='submit']",
-      "Form": "input, textarea, select, label, .form",
-      "Footer": "footer, .footer",
-      "Code": "code, pre, .code, [class*='mono']",
-      "List": "li, ul, ol",
-      "Table": "table, th, td"
+    // Takes back what visitText credited for a text node
+    const forgetText = (node) => {
+      const credit = credited.get(node);
+      if (!credit) return;
+      credited.delete(node);
+      const { el, usage, chars } = credit;
+      usage.entry.chars -= chars;
+      usage.variant.chars -= chars;
+      if (--usage.texts === 0) {
+        usage.entry.elements--;
+        usage.variant.elements--;
+        // Re-inserted later, the element gets its style read again
+        if (seen.get(el) === usage) seen.delete(el);
+      }
+      revision++;
+    };
+
+    // Every text node under a removed (or changed) node
+    const forget = (root) => {
+      if (root.nodeType === Node.TEXT_NODE) { forgetText(root); return; }
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) forgetText(walker.currentNode);
     };
 
-    for (const [context, selector] of Object.entries(contextSelectors)) {
+    // Strategy 4: Check root styles for base fonts
+    const addRootStyles = () => {
       try {
-        const elements = document.querySelectorAll(selector);
-        const sampled = Array.from(elements).slice(0, 10); // Sample first 10 to avoid perf issues
-        for (const el of sampled) {
-          try {
-            const cs = getComputedStyle(el);
-            const families = parseFamilies(cs.fontFamily);
-            for (const fam of families) {
-              if (!genericSet.has(fam.toLowerCase())) {
-                addFont(fam, context, cs.fontWeight, cs.fontStyle);
-                break; // Only count first (primary) font
-              }
-            }
-          } catch (e) { /* ignore */ }
+        const rootCs = getComputedStyle(document.documentElement);
+        const bodyCs = getComputedStyle(document.body);
+
+        for (const fam of parseFamilies(rootCs.fontFamily)) {
+          addFont(fam, "Default", rootCs.fontWeight, rootCs.fontStyle);
+        }
+        for (const fam of parseFamilies(bodyCs.fontFamily)) {
+          addFont(fam, "Default", bodyCs.fontWeight, bodyCs.fontStyle);
         }
       } catch (e) { /* ignore */ }
+    };
+
+    const list = () => {
+      const result = [];
+      for (const [fontName, data] of fontUsage) {
+        // Verify font is actually available
+        let isLoaded = false;
+        try {
+          if (document.fonts && typeof document.fonts.check === "function") {
+            isLoaded = document.fonts.check(`16px "${fontName}"`);
+          }
+        } catch (e) { /* ignore */ }
+
+        result.push({
+          name: fontName,
+          contexts: Array.from(data.contexts),
+          weights: Array.from(data.weights),
+          styles: Array.from(data.styles),
+          chars: data.chars,
+          elements: data.elements,
+          variants: Array.from(data.variants.values()).sort((a, b) => b.chars - a.chars),
+          faces: faceMap.get(fontName)?.faces || [],
+          addedLater: data.addedLater,
+          isLoaded
+        });
+      }
+
+      // Sort: most rendered text first, then loaded fonts, then by number of contexts
+      result.sort((a, b) => {
+        if (a.chars !== b.chars) return b.chars - a.chars;
+        if (a.isLoaded !== b.isLoaded) return b.isLoaded ? 1 : -1;
+        return b.contexts.length - a.contexts.length;
+      });
+      return result;
+    };
+
+    return {
+      addFaceRules, addLoadedFaces, visitText, forget, addRootStyles, list,
+      settle: () => { settled = true; },
+      get revision() { return revision; }
+    };
+  };
+
+  // Credits every text node under `roots` in idle-time chunks. Resolves to
+  // false if `signal` aborts first; onProgress gets the fraction visited.
+  // With onProgress, the text nodes are first counted, also in idle chunks;
+  // counting is cheap next to visiting, so it only takes the first 10%.
+  const COUNT_SHARE = 0.1;
+  const walkTextNodes = (inventory, roots, { signal, onProgress, recheck = false } = {}) => new Promise((resolve) => {
+    const walkers = [];
+    const counters = [];
+    for (const root of roots) {
+      if (root.nodeType === Node.TEXT_NODE) { inventory.visitText(root, recheck); continue; }
+      if (onProgress) counters.push(document.createTreeWalker(root, NodeFilter.SHOW_TEXT));
+      walkers.push(document.createTreeWalker(root, NodeFilter.SHOW_TEXT));
     }
 
-    // Strategy 4: Check root styles for base fonts
-    try {
-      const rootCs = getComputedStyle(document.documentElement);
-      const bodyCs = getComputedStyle(document.body);
+    let total = 0;
+    let visited = 0;
+    const count = (deadline) => {
+      if (signal?.aborted) { resolve(false); return; }
+      while (counters.length) {
+        for (let n = 0; n < MIN_NODES_PER_CHUNK * 20; n++) {
+          if (!counters[0].nextNode()) { counters.shift(); break; }
+          total++;
+        }
+        if (deadline.timeRemaining() < 1) { whenIdle(count); return; }
+      }
+      onProgress(COUNT_SHARE);
+      whenIdle(step);
+    };
 
-      for (const fam of parseFamilies(rootCs.fontFamily)) {
-        addFont(fam, "Default", rootCs.fontWeight, rootCs.fontStyle);
+    const step = (deadline) => {
+      if (signal?.aborted) { resolve(false); return; }
+      for (let n = 0; walkers.length; n++) {
+        const node = walkers[0].nextNode();
+        if (!node) { walkers.shift(); continue; }
+        visited++;
+        try { inventory.visitText(node, recheck); } catch (e) { /* ignore */ }
+        if (n >= MIN_NODES_PER_CHUNK && deadline.timeRemaining() < 1) {
+          onProgress?.(COUNT_SHARE + (1 - COUNT_SHARE) * (total ? Math.min(1, visited / total) : 1));
+          whenIdle(step);
+          return;
+        }
       }
-      for (const fam of parseFamilies(bodyCs.fontFamily)) {
-        addFont(fam, "Default", bodyCs.fontWeight, bodyCs.fontStyle);
+      resolve(true);
+    };
+    whenIdle(counters.length ? count : step);
+  });
+
+  // Resolves to the inventory, or null once `signal` aborts
+  const scanPageFonts = async ({ signal, onProgress } = {}) => {
+    const inventory = createFontInventory();
+    inventory.addFaceRules();
+    inventory.addLoadedFaces();
+    const root = document.body || document.documentElement;
+    if (!(await walkTextNodes(inventory, [root], { signal, onProgress }))) return null;
+    inventory.addRootStyles();
+    inventory.settle();
+    return inventory;
+  };
+
+  // ========== LIVE ALL FONTS ==========
+  // While the panel is open, DOM changes (route changes, lazy sections) and
+  // finished font loads are fed into its inventory: removed text is taken
+  // back, added text credited. onChange fires when counts or families moved,
+  // or a font finished loading.
+  const FONT_WATCH_DELAY = 500;
+  let fontWatch = null; // { observer, onLoadingDone, controller, timer }
+
+  const unwatchFonts = () => {
+    if (!fontWatch) return;
+    fontWatch.observer.disconnect();
+    document.fonts?.removeEventListener("loadingdone", fontWatch.onLoadingDone);
+    fontWatch.controller.abort();
+    clearTimeout(fontWatch.timer);
+    fontWatch = null;
+  };
+
+  const watchFonts = (inventory, onChange) => {
+    unwatchFonts();
+    const pending = new Set();
+    const removed = new Set();
+    let fontsLoaded = false;
+    const watch = { controller: new AbortController(), timer: null };
+
+    const flush = async () => {
+      watch.timer = null;
+      // Only the outermost added nodes; their walk covers the rest
+      const roots = [...pending].filter((n) => {
+        if (!n.isConnected) return false;
+        for (let p = n.parentNode; p; p = p.parentNode) if (pending.has(p)) return false;
+        return true;
+      });
+      pending.clear();
+      const before = inventory.revision;
+      for (const n of removed) inventory.forget(n);
+      removed.clear();
+      const loaded = fontsLoaded;
+      fontsLoaded = false;
+      if (loaded) {
+        // Families that fell back before may render now: recheck every text node
+        clearFontCaches();
+        inventory.addFaceRules();
+        inventory.addLoadedFaces();
       }
-    } catch (e) { /* ignore */ }
+      const walkRoots = loaded ? [document.body || document.documentElement] : roots;
+      if (!(await walkTextNodes(inventory, walkRoots, { signal: watch.controller.signal, recheck: loaded }))) return;
+      if (loaded || inventory.revision !== before) onChange();
+    };
+    const schedule = () => {
+      if (!watch.timer) watch.timer = setTimeout(flush, FONT_WATCH_DELAY);
+    };
 
-    // Convert to sorted array (most contexts first = more important)
-    const result = [];
-    for (const [fontName, data] of fontUsage) {
-      // Verify font is actually available
-      let isLoaded = false;
-      try {
-        if (document.fonts && typeof document.fonts.check === "function") {
-          isLoaded = document.fonts.check(`16px "${fontName}"`);
+    watch.observer = new MutationObserver((records) => {
+      for (const r of records) {
+        // Edited text is taken back, then credited again at its new length
+        if (r.type === "characterData") { removed.add(r.target); pending.add(r.target); }
+        for (const n of r.removedNodes) {
+          if (!n.id?.startsWith("fs-")) removed.add(n);
         }
-      } catch (e) { /* ignore */ }
+        for (const n of r.addedNodes) {
+          if (!n.id?.startsWith("fs-")) pending.add(n);
+        }
+      }
+      if (pending.size || removed.size) schedule();
+    });
+    watch.observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    watch.onLoadingDone = () => { fontsLoaded = true; schedule(); };
+    document.fonts?.addEventListener("loadingdone", watch.onLoadingDone);
+    fontWatch = watch;
+  };
 
-      result.push({
-        name: fontName,
-        contexts: Array.from(data.contexts),
-        weights: Array.from(data.weights),
-        styles: Array.from(data.styles),
-        isLoaded
-      });
-    }
+  // ========== INVENTORY EXPORT ==========
+  // Serializes the full font inventory list (not just the rows on screen)
+  const EXPORT_COLUMNS = ["name", "chars", "elements", "contexts", "weights", "styles", "isLoaded"];
+
+  const fontsToJSON = (fonts) => JSON.stringify(
+    fonts.map(f => Object.fromEntries(EXPORT_COLUMNS.map(k => [k, f[k]]))), null, 2);
+
+  const fontsToCSV = (fonts) => {
+    const cell = (v) => {
+      const str = Array.isArray(v) ? v.join("; ") : String(v);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return [EXPORT_COLUMNS.join(","), ...fonts.map(f => EXPORT_COLUMNS.map(k => cell(f[k])).join(","))].join("\n");
+  };
+
+  const fontsToMarkdown = (fonts) => {
+    const cell = (v) => (Array.isArray(v) ? v.join(", ") : String(v)).replace(/\|/g, "\\|");
+    const head = ["Font", "Characters", "Elements", "Contexts", "Weights", "Styles", "Loaded"];
+    return [
+      `| ${head.join(" | ")} |`,
+      `| ${head.map(() => "---").join(" | ")} |`,
+      ...fonts.map(f => `| ${[f.name, f.chars, f.elements, f.contexts, f.weights, f.styles, f.isLoaded ? "Yes" : "No"].map(cell).join(" | ")} |`)
+    ].join("\n");
+  };
+
+  const EXPORT_FORMATS = {
+    json: { label: "JSON", ext: "json", mime: "application/json", serialize: fontsToJSON },
+    csv: { label: "CSV", ext: "csv", mime: "text/csv", serialize: fontsToCSV },
+    md: { label: "Markdown", ext: "md", mime: "text/markdown", serialize: fontsToMarkdown }
+  };
+
+  const downloadText = (text, filename, mime) => {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.style.display = "none";
+    document.documentElement.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const exportFilename = (ext) =>
+    `fontseek-${(location.hostname || "page").replace(/[^a-z0-9.-]/gi, "_")}.${ext}`;
 
-    // Sort: loaded fonts first, then by number of contexts
-    result.sort((a, b) => {
-      if (a.isLoaded !== b.isLoaded) return b.isLoaded ? 1 : -1;
-      return b.contexts.length - a.contexts.length;
+  // ========== TYPE SCALE ==========
+  const MODULAR_RATIOS = [
+    [1.067, "Minor second"], [1.125, "Major second"], [1.2, "Minor third"], [1.25, "Major third"],
+    [1.333, "Perfect fourth"], [1.414, "Augmented fourth"], [1.5, "Perfect fifth"], [1.618, "Golden ratio"]
+  ];
+  const MAX_SCALE_ELEMENTS = 5000;
+
+  // Visible elements that directly hold non-blank text, in document order
+  // (`hidden` also yields ones that aren't rendered right now)
+  function* textElements(limit, { root = document.body || document.documentElement, hidden = false } = {}) {
+    const seen = new Set();
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (n) => (n.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
     });
+    while (walker.nextNode() && seen.size < limit) {
+      const el = walker.currentNode.parentElement;
+      if (!el || seen.has(el) || el.closest(`${PAGE_UI}, script, style, noscript, template`)) continue;
+      seen.add(el);
+      if (!hidden && el.checkVisibility && !el.checkVisibility()) continue;
+      yield el;
+    }
+  }
 
-    return result;
+  // Every rendered font size -> the elements whose own text uses it
+  const collectFontSizes = () => {
+    const sizes = new Map(); // px -> { px, count, elements: [] }
+    for (const el of textElements(MAX_SCALE_ELEMENTS)) {
+      const px = Math.round(parseFloat(getComputedStyle(el).fontSize) * 100) / 100;
+      if (!px) continue;
+      if (!sizes.has(px)) sizes.set(px, { px, count: 0, elements: [] });
+      const entry = sizes.get(px);
+      entry.count++;
+      entry.elements.push(el);
+    }
+    return Array.from(sizes.values());
   };
 
+  // Steps are measured in log units of each ratio, so a dense ratio doesn't
+  // fit better just by having more steps. The most used size is the base.
+  const inferTypeScale = (sizes, rootPx) => {
+    if (sizes.length === 0) return null;
+    const basePx = sizes.reduce((a, b) => (b.count > a.count ? b : a)).px;
+    const others = sizes.filter(s => s.px !== basePx);
+    const stepOf = (px, ratio) => Math.log(px / basePx) / Math.log(ratio);
+
+    let best = null;
+    for (const [ratio, name] of MODULAR_RATIOS) {
+      const err = others.length
+        ? others.reduce((sum, s) => { const st = stepOf(s.px, ratio); return sum + Math.abs(st - Math.round(st)); }, 0) / others.length
+        : 0;
+      if (!best || err < best.err) best = { ratio, name, err };
+    }
+
+    const rows = sizes.map((s) => {
+      const step = Math.round(stepOf(s.px, best.ratio));
+      const expectedPx = Math.round(basePx * Math.pow(best.ratio, step) * 100) / 100;
+      return {
+        ...s,
+        rem: Math.round(s.px / rootPx * 1000) / 1000,
+        step,
+        expectedPx,
+        // Scale steps are usually rounded to the nearest half pixel
+        onScale: Math.abs(s.px - expectedPx) <= Math.max(0.5, expectedPx * 0.02)
+      };
+    }).sort((a, b) => b.px - a.px);
 
-  // Font Helpers
-  const genericSet = new Set([
-    "ui-sans-serif", "ui-serif", "ui-monospace", "ui-rounded",
-    "sans-serif", "serif", "monospace", "cursive", "fantasy", "emoji", "math", "fangsong"
-  ]);
-  const ALIAS_SET = new Set(["-apple-system", "blinkmacsystemfont"]);
+    return {
+      rootPx, basePx,
+      ratio: best.ratio, ratioName: best.name,
+      fit: Math.round((1 - best.err * 2) * 100), // 100% = every size on a step
+      sizes: rows
+    };
+  };
 
-  const parseFamilies = (fontFamilyStr) =>
-    String(fontFamilyStr || "")
-      .split(",")
-      .map(s => s.trim().replace(/^['\"]|['\"]$/g, ""))
-      .filter(Boolean);
+  const analyzeTypeScale = () => {
+    const rootPx = parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
+    return inferTypeScale(collectFontSizes(), rootPx);
+  };
 
-  // Font Detection
-  const fontAvailCache = new Map();
+  // Font Detection (canvas measurement; the decisions live in lib/detection.js)
   function measure(text, fontSizePx, family, fallback) {
     const span = document.createElement("span");
     span.textContent = text;
@@ -600,70 +1234,6 @@
       return differsAll(gW) || differsAll(gN);
     } catch { return false; }
   }
-  function isFontAvailable(nameRaw) {
-    if (!nameRaw) return false;
-    const name = String(nameRaw).trim().replace(/^['"]|['"]$/g, "");
-    const low = name.toLowerCase();
-    if (fontAvailCache.has(low)) return fontAvailCache.get(low);
-    if (genericSet.has(low)) { fontAvailCache.set(low, true); return true; }
-
-    // METHOD 1: Use document.fonts.check() API (most reliable for web fonts)
-    // This directly checks if the browser has loaded the font
-    try {
-      if (document.fonts && typeof document.fonts.check === "function") {
-        // Check at multiple sizes to be sure
-        const isLoaded = document.fonts.check(`16px "${name}"`) ||
-          document.fonts.check(`12px "${name}"`) ||
-          document.fonts.check(`bold 16px "${name}"`);
-        if (isLoaded) {
-          fontAvailCache.set(low, true);
-          return true;
-        }
-      }
-    } catch (e) { /* ignore */ }
-
-    // METHOD 2: Check if the font exists in document.fonts collection
-    try {
-      if (document.fonts && typeof document.fonts.forEach === "function") {
-        let found = false;
-        document.fonts.forEach((fontFace) => {
-          if (fontFace.family.replace(/^['"]|['"]$/g, "").toLowerCase() === low) {
-            found = true;
-          }
-        });
-        if (found) {
-          fontAvailCache.set(low, true);
-          return true;
-        }
-      }
-    } catch (e) { /* ignore */ }
-
-    // METHOD 3: Canvas-based measurement (fallback)
-    const ok = canvasAvailable(name);
-    if (ok) {
-      fontAvailCache.set(low, true);
-      return true;
-    }
-
-    // METHOD 4: Known system fonts (platform-specific)
-    const ua = navigator.userAgent || "";
-    const isWin = /Windows/.test(ua);
-    const isMac = /Macintosh|Mac OS X/.test(ua);
-    const isLinux = /Linux/.test(ua);
-
-    let allowed = [];
-    if (isWin) allowed = ["segoe ui", "segoe ui variable", "arial", "tahoma", "verdana", "times new roman", "courier new"];
-    else if (isMac) allowed = ["sf pro", "sf pro text", "helvetica neue", "helvetica", "arial", "times new roman", "courier new"];
-    else if (isLinux) allowed = ["ubuntu", "cantarell", "dejavu sans", "noto sans", "liberation sans", "arial"];
-
-    if (allowed.includes(low)) {
-      fontAvailCache.set(low, true);
-      return true;
-    }
-
-    fontAvailCache.set(low, false);
-    return false;
-  }
   function metricsEqual(a, b) {
     const text = "MW@#Il1Oo0mmmmWWW";
     const sz = 40;
@@ -674,20 +1244,6 @@
       return da[0] === db[0] && da[1] === db[1];
     });
   }
-  function findMatchingPlatformFont(font) {
-    const ua = navigator.userAgent || "";
-    const isMac = /Macintosh|Mac OS X/.test(ua);
-    const isWin = /Windows/.test(ua);
-    let candidates = [];
-    if (isWin) candidates = ["Segoe UI Variable", "Segoe UI", "Arial", "Tahoma", "Verdana", "Times New Roman", "Courier New"];
-    else if (isMac) candidates = ["SF Pro Text", "SF Pro Display", "Helvetica Neue", "Helvetica", "Arial", "Times New Roman", "Courier New"];
-    else candidates = ["Ubuntu", "Cantarell", "DejaVu Sans", "Noto Sans", "Liberation Sans", "Arial"];
-
-    for (const c of candidates) {
-      if (isFontAvailable(c) && metricsEqual(font, c)) return c;
-    }
-    return null;
-  }
   function isSystemFallback(font, systemFont) {
     // Check if 'font' falls back to 'systemFont' by comparing:
     // 1. font-family: "font", "systemFont"
@@ -700,196 +1256,118 @@
     return d1[0] === d2[0] && d1[1] === d2[1];
   }
 
-  function mapAliasToPlatformFont(alias) {
-    const match = findMatchingPlatformFont(alias);
-    if (match) return match;
-    const ua = navigator.userAgent || "";
-    return /Windows/.test(ua) ? "Segoe UI" : (/Macintosh|Mac OS X/.test(ua) ? "SF Pro" : "system-ui");
-  }
+  const {
+    isFontAvailable, resetAvailability, getLoadedWebFonts, resolveFamily, scoreConfidence
+  } = createDetector({
+    getComputedStyle: (el) => getComputedStyle(el),
+    parentOf: (node) => ascend(node),
+    describe: (el) => cssSelectorFor(el),
+    body: () => document.body,
+    root: () => document.documentElement,
+    fonts: document.fonts,
+    fontFaceFamilies: () => Array.from(getFontFaceRules().keys()),
+    rendersDistinctly: canvasAvailable,
+    measuresLike: isSystemFallback,
+    sameMetrics: metricsEqual,
+    userAgent: navigator.userAgent || ""
+  });
 
-  function getSystemFonts() {
-    const ua = navigator.userAgent || "";
-    if (/Windows/.test(ua)) return ["Segoe UI Variable", "Segoe UI", "Arial", "Tahoma", "Verdana"];
-    if (/Macintosh|Mac OS X/.test(ua)) return ["SF Pro Text", "SF Pro Display", "Helvetica Neue", "Helvetica", "Arial"];
-    if (/Linux/.test(ua)) return ["Ubuntu", "Cantarell", "DejaVu Sans", "Noto Sans", "Arial"];
-    return ["Arial", "sans-serif"];
-  }
+  // Color Utils
+  const resolveColor = (color) => {
+    // Canvas "Washing" technique:
+    // Draw the color on a 1x1 canvas and read back the RGBA values.
+    // This handles ALL valid CSS colors (hex, rgb, hsl, lab, oklch, named colors, etc.)
+    const canvas = document.createElement("canvas");
+    canvas.width = 1; canvas.height = 1;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+    return { r, g, b, a };
+  };
 
-  // resolver: pick first real available font; alias used internally only (not displayed)
-  // Enhanced with ultra-aggressive fallback chain for modern sites (Shopify, Framer, etc.)
-  const resolveFamily = (startEl) => {
-    const seen = new Set();
-    let firstAlias = null;
-    let firstGeneric = null;
-    let chosen = null;
-    const allDeclaredFamilies = [];
-
-    const scanList = (families) => {
-      for (const raw of families) {
-        const name = raw.trim().replace(/^['"]|['"]$/g, "");
-        if (!name) continue;
-        allDeclaredFamilies.push(name);
-        const low = name.toLowerCase();
-        if (seen.has(low)) continue;
-        seen.add(low);
-        if (ALIAS_SET.has(low)) { if (!firstAlias) firstAlias = name; continue; }
-        if (genericSet.has(low)) { if (!firstGeneric) firstGeneric = name; continue; }
-        if (!chosen && isFontAvailable(name)) { chosen = name; }
-      }
+  const colorToHex = (colorStr) => {
+    const { r, g, b, a } = resolveColor(colorStr);
+    const to2 = (n) => n.toString(16).padStart(2, "0").toUpperCase();
+    if (a < 255) return `#${to2(r)}${to2(g)}${to2(b)}${to2(a)}`;
+    return `#${to2(r)}${to2(g)}${to2(b)}`;
+  };
+  // ========== CONTRAST (WCAG 2.x + APCA) ==========
+  // Colours below are premultiplied [r, g, b, a] with channels in 0..1
+  const premultiply = ({ r, g, b, a }) => { const al = a / 255; return [r / 255 * al, g / 255 * al, b / 255 * al, al]; };
+  const over = (top, bottom) => top.map((v, i) => v + bottom[i] * (1 - top[3]));
+  const fade = (c, opacity) => c.map(v => v * opacity);
+  const toHex = (c) => "#" + c.slice(0, 3).map(v => Math.round(v * 255).toString(16).padStart(2, "0")).join("").toUpperCase();
+
+  // What the text and the background behind it end up as on screen. Each
+  // ancestor paints its background, then its children, and the whole group is
+  // faded by its opacity, so both are composited through the same chain.
+  const effectiveColors = (el, textColor) => {
+    const chain = [];
+    let hasImage = false;
+    for (let node = el; node && node.nodeType === 1; node = ascend(node)) {
+      const cs = getComputedStyle(node);
+      if (cs.backgroundImage && cs.backgroundImage !== "none") hasImage = true;
+      const opacity = parseFloat(cs.opacity);
+      chain.push({ bg: premultiply(resolveColor(cs.backgroundColor)), opacity: isNaN(opacity) ? 1 : opacity });
+      if (node === document.documentElement) break;
+    }
+    const composite = (content) => {
+      let group = content;
+      for (const { bg, opacity } of chain) group = fade(over(group, bg), opacity);
+      return over(group, [1, 1, 1, 1]); // the canvas is white when nothing is painted
+    };
+    const transparent = [0, 0, 0, 0];
+    return {
+      background: composite(transparent),
+      text: composite(premultiply(resolveColor(textColor))),
+      hasImage
     };
+  };
 
-    // Stage 1: Standard getComputedStyle traversal
-    let node = startEl;
-    for (let i = 0; i < 8 && node; i++) {
-      try {
-        if (node.nodeType === 1) {
-          scanList(parseFamilies(getComputedStyle(node).fontFamily));
-        }
-      } catch { }
-      node = ascend(node);
-    }
-    try { scanList(parseFamilies(getComputedStyle(document.body).fontFamily)); } catch { }
-    try { scanList(parseFamilies(getComputedStyle(document.documentElement).fontFamily)); } catch { }
-
-    // Stage 2: Check CSS variables (common in modern sites)
-    if (!chosen) {
-      const varFonts = findCSSVariableFonts(startEl);
-      scanList(varFonts);
-    }
-
-    // Stage 3: Check inline styles
-    if (!chosen) {
-      const inlineFonts = findInlineStyleFonts(startEl);
-      scanList(inlineFonts);
-    }
-
-    // Stage 4: Use document.fonts API to find loaded web fonts
-    if (!chosen) {
-      const loadedFonts = getLoadedWebFonts();
-      for (const fontInfo of loadedFonts) {
-        const name = fontInfo.family;
-        if (!seen.has(name.toLowerCase()) && isFontAvailable(name)) {
-          // Only return this font if it's in the declared families OR
-          // if we have no other option
-          const declaredLower = allDeclaredFamilies.map(f => f.toLowerCase());
-          if (declaredLower.includes(name.toLowerCase())) {
-            chosen = name;
-            break;
-          }
-        }
-      }
+  const relativeLuminance = (c) => {
+    const lin = (v) => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4));
+    return 0.2126 * lin(c[0]) + 0.7152 * lin(c[1]) + 0.0722 * lin(c[2]);
+  };
 
-      // If still no match but we have loaded fonts, use the first one that matches
-      if (!chosen) {
-        for (const fontInfo of loadedFonts) {
-          if (isFontAvailable(fontInfo.family)) {
-            chosen = fontInfo.family;
-            usedForcedMode = true;
-            break;
-          }
-        }
-      }
+  // APCA 0.0.98G-4g: signed Lc, positive for dark text on a light background
+  const apcaContrast = (text, bg) => {
+    const y = (c) => {
+      const v = 0.2126729 * Math.pow(c[0], 2.4) + 0.7151522 * Math.pow(c[1], 2.4) + 0.0721750 * Math.pow(c[2], 2.4);
+      return v < 0.022 ? v + Math.pow(0.022 - v, 1.414) : v;
+    };
+    const yt = y(text), yb = y(bg);
+    if (Math.abs(yb - yt) < 0.0005) return 0;
+    if (yb > yt) {
+      const sapc = (Math.pow(yb, 0.56) - Math.pow(yt, 0.57)) * 1.14;
+      return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
     }
+    const sapc = (Math.pow(yb, 0.65) - Math.pow(yt, 0.62)) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+  };
 
-    // Stage 5: Parse @font-face rules as nuclear option
-    if (!chosen) {
-      const fontFaceMap = getFontFaceRules();
-      for (const [family] of fontFaceMap) {
-        if (isFontAvailable(family)) {
-          const declaredLower = allDeclaredFamilies.map(f => f.toLowerCase());
-          if (declaredLower.includes(family.toLowerCase())) {
-            chosen = family;
-            usedForcedMode = true;
-            break;
-          }
-        }
-      }
-
-      // Last resort: first available @font-face font
-      if (!chosen) {
-        for (const [family] of fontFaceMap) {
-          if (isFontAvailable(family)) {
-            chosen = family;
-            usedForcedMode = true;
-            break;
-          }
-        }
-      }
-    }
-
-    if (chosen) {
-      // Skip the aggressive system fallback check if font was confirmed by document.fonts API
-      // The document.fonts.check() API is the most reliable - if it says the font is loaded, trust it
-      let confirmedByFontsAPI = false;
-      try {
-        if (document.fonts && typeof document.fonts.check === "function") {
-          confirmedByFontsAPI = document.fonts.check(`16px "${chosen}"`) ||
-            document.fonts.check(`12px "${chosen}"`);
-        }
-      } catch (e) { /* ignore */ }
-
-      if (!confirmedByFontsAPI) {
-        // Reality Check: Only do this if font wasn't confirmed by document.fonts API
-        // Check if chosen font falls back to ANY known system font.
-        const sysFonts = getSystemFonts();
-        for (const sys of sysFonts) {
-          if (chosen.toLowerCase() !== sys.toLowerCase() && isSystemFallback(chosen, sys)) {
-            return sys;
-          }
-        }
-      }
-
-      if (chosen.toLowerCase() === "system-ui") return mapAliasToPlatformFont("system-ui");
-      return chosen;
-    }
-    if (firstAlias) return mapAliasToPlatformFont(firstAlias);
-    return firstGeneric || "system-ui";
-  };
-
-  // Color Utils
-  const resolveColor = (color) => {
-    // Canvas "Washing" technique:
-    // Draw the color on a 1x1 canvas and read back the RGBA values.
-    // This handles ALL valid CSS colors (hex, rgb, hsl, lab, oklch, named colors, etc.)
-    const canvas = document.createElement("canvas");
-    canvas.width = 1; canvas.height = 1;
-    const ctx = canvas.getContext("2d", { willReadFrequently: true });
-    ctx.fillStyle = color;
-    ctx.fillRect(0, 0, 1, 1);
-    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
-    return { r, g, b, a };
-  };
-
-  const colorToHex = (colorStr) => {
-    const { r, g, b, a } = resolveColor(colorStr);
-    const to2 = (n) => n.toString(16).padStart(2, "0").toUpperCase();
-    if (a < 255) return `#${to2(r)}${to2(g)}${to2(b)}${to2(a)}`;
-    return `#${to2(r)}${to2(g)}${to2(b)}`;
-  };
-  const parseHexToRgb = (hex) => {
-    hex = String(hex || "").trim();
-    if (!/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
-    const v = hex.slice(1);
-    let r, g, b;
-    if (v.length === 3) { r = parseInt(v[0] + v[0], 16); g = parseInt(v[1] + v[1], 16); b = parseInt(v[2] + v[2], 16); }
-    else { r = parseInt(v.slice(0, 2), 16); g = parseInt(v.slice(2, 4), 16); b = parseInt(v.slice(4, 6), 16); }
-    return [r, g, b];
-  };
-  const rgbToHsl = (r, g, b) => {
-    r /= 255; g /= 255; b /= 255;
-    const max = Math.max(r, g, b), min = Math.min(r, g, b);
-    let h = 0, s = 0; const l = (max + min) / 2;
-    if (max !== min) {
-      const d = max - min;
-      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-      switch (max) {
-        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-        case g: h = (b - r) / d + 2; break;
-        case b: h = (r - g) / d + 4; break;
-      }
-      h /= 6;
-    }
-    return [Math.round(h * 360), Math.round(s * 100), Math.round(l * 100)];
+  // Rough APCA use-case bands for |Lc|
+  const APCA_LEVELS = [[90, "Body text+"], [75, "Body text"], [60, "Content text"], [45, "Large text"], [30, "Spot text"]];
+
+  const describeContrast = (el, cs) => {
+    const { background, text, hasImage } = effectiveColors(el, cs.color);
+    const lt = relativeLuminance(text), lb = relativeLuminance(background);
+    const ratio = (Math.max(lt, lb) + 0.05) / (Math.min(lt, lb) + 0.05);
+    // WCAG "large": 18pt, or 14pt bold
+    const sizePx = parseFloat(cs.fontSize) || 16;
+    const large = sizePx >= 24 || (sizePx >= 18.66 && normalizeWeightNumber(cs.fontWeight) >= 700);
+    const lc = apcaContrast(text, background);
+    return {
+      text: toHex(text),
+      background: toHex(background),
+      ratio: Math.round(ratio * 100) / 100,
+      large,
+      aa: ratio >= (large ? 3 : 4.5),
+      aaa: ratio >= (large ? 4.5 : 7),
+      apca: Math.round(lc * 10) / 10,
+      apcaLevel: APCA_LEVELS.find(([min]) => Math.abs(lc) >= min)?.[1] || "Insufficient",
+      hasImage
+    };
   };
 
   // Viewport Utils
@@ -1016,7 +1494,7 @@
       }
 
       // Skip our own UI elements
-      if (el.id?.startsWith("fs-") || el.closest?.("#fs-exit")) {
+      if (el.id?.startsWith("fs-") || el.closest?.(PAGE_UI)) {
         modifiedElements.push({
           element: el,
           originalPointerEvents: el.style.pointerEvents
@@ -1109,7 +1587,7 @@
 
     // Check if hovering over our own UI or hover highlight
     const path = typeof e.composedPath === "function" ? e.composedPath() : [];
-    const isOurUI = target.closest?.("#fs-exit") ||
+    const isOurUI = target.closest?.(PAGE_UI) ||
       target.closest?.("#fs-highlight") ||
       (popupHost && popupHost.contains(target)) ||
       (allFontsHost && allFontsHost.contains(target)) ||
@@ -1130,14 +1608,14 @@
       currentHoveredEl = null;
       hideHoverHighlight();
     }
-  }, 50);
+  }, settings.hoverThrottleMs);
 
   const onWindowClick = (e) => {
     if (!window.__FS_ACTIVE__) return;
 
     // Check if click is on our UI
     const path = typeof e.composedPath === "function" ? e.composedPath() : [];
-    const isOurUI = e.target.closest?.("#fs-exit") ||
+    const isOurUI = e.target.closest?.(PAGE_UI) ||
       e.target.closest?.("#fs-highlight") ||
       (popupHost && popupHost.contains(e.target)) ||
       (allFontsHost && allFontsHost.contains(e.target)) ||
@@ -1208,11 +1686,31 @@
     const txt = document.createElement("span");
     txt.textContent = "FontSeek Active";
     Object.assign(txt.style, { fontSize: "12px", fontWeight: "600", letterSpacing: "0.02em", color: "rgba(255,255,255,0.9)" });
+    exitStatusEl = txt;
+
+    // Bound keyboard shortcut as a small hint (chrome://extensions/shortcuts)
+    const kbd = (command) => {
+      const keys = shortcuts[command];
+      if (!keys) return null;
+      const k = document.createElement("kbd");
+      k.textContent = keys;
+      Object.assign(k.style, {
+        all: "unset", marginLeft: "6px", fontSize: "10px", fontWeight: "500",
+        fontFamily: "\"SF Mono\", \"Roboto Mono\", monospace", opacity: "0.6"
+      });
+      return k;
+    };
+    const labelWithShortcut = (el, label, command) => {
+      el.textContent = label;
+      const k = kbd(command);
+      if (k) el.appendChild(k);
+    };
+    labelWithShortcut(txt, "FontSeek Active", "_execute_action");
 
     // Show All Fonts button
     const allFontsBtn = document.createElement("button");
     allFontsBtn.type = "button";
-    allFontsBtn.textContent = "All Fonts";
+    labelWithShortcut(allFontsBtn, "All Fonts", "all-fonts");
     Object.assign(allFontsBtn.style, {
       all: "unset", cursor: "pointer", fontSize: "11px", fontWeight: "600",
       padding: "4px 10px", borderRadius: "6px",
@@ -1226,9 +1724,42 @@
       showAllFontsPopup(e.clientX, e.clientY);
     });
 
+    // Precise mode toggle (DevTools protocol lookup of the rendered fonts)
+    preciseBtn = document.createElement("button");
+    preciseBtn.type = "button";
+    preciseBtn.textContent = "Precise";
+    preciseBtn.title = "Ask Chrome which fonts actually rendered the picked text";
+    Object.assign(preciseBtn.style, {
+      all: "unset", cursor: "pointer", fontSize: "11px", fontWeight: "600",
+      padding: "4px 10px", borderRadius: "6px",
+      transition: "background 0.2s"
+    });
+    paintPreciseBtn();
+    preciseBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      sendToExtension({ type: "fs:set-precise", enabled: !preciseMode });
+    });
+
+    // Compare mode: shows what's pinned, click to unpin
+    pinChip = document.createElement("button");
+    pinChip.type = "button";
+    pinChip.title = "Unpin";
+    Object.assign(pinChip.style, {
+      all: "unset", cursor: "pointer", fontSize: "11px", fontWeight: "600",
+      padding: "4px 10px", borderRadius: "6px", maxWidth: "220px",
+      overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+      background: "rgba(251,191,36,0.2)", color: "#fcd34d"
+    });
+    pinChip.addEventListener("click", (e) => {
+      e.stopPropagation();
+      setPinned(null);
+    });
+    paintPin();
+
     const btn = document.createElement("button");
     btn.type = "button";
-    btn.textContent = "Exit";
+    labelWithShortcut(btn, "Exit", "exit");
+    if (shortcuts["copy-spec"]) btn.title = `${shortcuts["copy-spec"]} copies the last inspected font spec`;
     Object.assign(btn.style, {
       all: "unset", cursor: "pointer", fontSize: "11px", fontWeight: "600",
       padding: "4px 10px", borderRadius: "6px",
@@ -1237,9 +1768,9 @@
     });
     btn.addEventListener("mouseenter", () => btn.style.background = "rgba(255,255,255,0.2)");
     btn.addEventListener("mouseleave", () => btn.style.background = "rgba(255,255,255,0.1)");
-    btn.addEventListener("click", stop);
+    btn.addEventListener("click", stopAll);
 
-    exitEl.append(dot, txt, allFontsBtn, btn);
+    exitEl.append(dot, txt, allFontsBtn, preciseBtn, pinChip, btn);
 
     Object.assign(exitEl.style, {
       position: "fixed", top: "20px", right: "20px", zIndex: "2147483647",
@@ -1262,26 +1793,109 @@
     });
   };
 
-  // Weight Utils
-  const WEIGHT_NAMES = { 100: "Thin", 200: "Extra Light", 300: "Light", 400: "Regular", 500: "Medium", 600: "Semi Bold", 700: "Bold", 800: "Extra Bold", 900: "Black" };
-  const normalizeWeightNumber = (w) => {
-    if (typeof w === "string") {
-      const s = w.toLowerCase();
-      if (s === "normal") return 400;
-      if (s === "bold") return 700;
-      const n = parseInt(s, 10);
-      if (!isNaN(n)) return Math.min(900, Math.max(100, n));
-      return 400;
-    }
-    if (typeof w === "number") return Math.min(900, Math.max(100, w));
-    return 400;
+  // ========== FONT FACE DETAILS (shared by popup + All Fonts panel) ==========
+  const FACE_CSS = `
+      .face-list { display: flex; flex-direction: column; gap: 8px; }
+      .face { display: flex; flex-direction: column; gap: 4px; min-width: 0; }
+      .face-head { display: flex; flex-wrap: wrap; align-items: center; gap: 4px; font-size: 11px; color: rgba(255,255,255,0.8); }
+      .face-chip {
+        font-size: 10px; padding: 1px 6px; border-radius: 4px;
+        background: rgba(255,255,255,0.08); color: rgba(255,255,255,0.7);
+        font-family: "SF Mono", "Roboto Mono", monospace;
+      }
+      .face-chip.format { background: rgba(99,102,241,0.25); color: #c7d2fe; }
+      .face-chip.via { background: rgba(251,191,36,0.2); color: #fcd34d; }
+      .face-src {
+        font-size: 11px; color: #a5b4fc; text-decoration: none;
+        font-family: "SF Mono", "Roboto Mono", monospace;
+        overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+      }
+      .face-src:hover { text-decoration: underline; }
+      .face-more { font-size: 11px; color: rgba(255,255,255,0.4); }
+  `;
+
+  const faceFileName = (url) => {
+    if (url.startsWith("data:")) return "(inline data: URL)";
+    try { return decodeURIComponent(new URL(url).pathname.split("/").pop()) || url; } catch { return url; }
   };
-  const bucketWeight = (n) => Math.min(900, Math.max(100, Math.round(n / 100) * 100));
-  const formatWeight = (w) => {
-    const n = normalizeWeightNumber(w);
-    const b = bucketWeight(n);
-    const name = WEIGHT_NAMES[b] || "Regular";
-    return `${n} — ${name}`;
+
+  const renderFaceList = (faces, limit = Infinity) => {
+    const list = document.createElement("div");
+    list.className = "face-list";
+    const chip = (text, extra = "") => {
+      const c = document.createElement("span");
+      c.className = `face-chip ${extra}`.trim();
+      c.textContent = text;
+      return c;
+    };
+
+    for (const face of faces.slice(0, limit)) {
+      const row = document.createElement("div");
+      row.className = "face";
+
+      const head = document.createElement("div");
+      head.className = "face-head";
+      head.append(`${face.weight} ${face.style}`);
+      const formats = [...new Set(face.src.filter(s => s.url).map(s => s.format))];
+      for (const f of formats) head.appendChild(chip(f, "format"));
+      head.appendChild(chip(`display: ${face.display}`));
+      if (face.via === "extension") {
+        const via = chip("cross-origin", "via");
+        via.title = `Read by FontSeek from ${face.sheet}`;
+        head.appendChild(via);
+      }
+      row.appendChild(head);
+
+      for (const src of face.src) {
+        if (src.local) {
+          row.appendChild(chip(`local(${src.local})`));
+          continue;
+        }
+        // Page CSS decides these URLs; anything but a font location stays plain text
+        if (!/^(https?|data):/i.test(src.url)) {
+          const text = chip(faceFileName(src.url));
+          text.title = src.url.slice(0, 200);
+          row.appendChild(text);
+          continue;
+        }
+        const a = document.createElement("a");
+        a.className = "face-src";
+        a.href = src.url;
+        a.target = "_blank";
+        a.rel = "noopener";
+        a.title = src.url.startsWith("data:") ? src.url.slice(0, 80) + "…" : src.url;
+        a.textContent = faceFileName(src.url);
+        a.addEventListener("click", (ev) => ev.stopPropagation());
+        row.appendChild(a);
+      }
+
+      const descriptors = [
+        ["unicode-range", face.unicodeRange],
+        ["size-adjust", face.sizeAdjust],
+        ["ascent-override", face.ascentOverride],
+        ["descent-override", face.descentOverride],
+        ["line-gap-override", face.lineGapOverride]
+      ].filter(([, v]) => v);
+      if (descriptors.length) {
+        const extra = document.createElement("div");
+        extra.className = "face-head";
+        for (const [k, v] of descriptors) {
+          const c = chip(`${k}: ${v.length > 40 ? v.slice(0, 40) + "…" : v}`);
+          c.title = `${k}: ${v}`;
+          extra.appendChild(c);
+        }
+        row.appendChild(extra);
+      }
+      list.appendChild(row);
+    }
+
+    if (faces.length > limit) {
+      const more = document.createElement("div");
+      more.className = "face-more";
+      more.textContent = `+ ${faces.length - limit} more faces`;
+      list.appendChild(more);
+    }
+    return list;
   };
 
   // popup (shadow)
@@ -1322,6 +1936,16 @@
         margin-right: 12px;
       }
       .actions { display: flex; gap: 8px; }
+      .rendered { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; }
+      .rendered label {
+        font-size: 10px; text-transform: uppercase; letter-spacing: 0.08em;
+        color: rgba(255,255,255,0.5); font-weight: 600; margin-right: 2px;
+      }
+      .rendered-font {
+        font-size: 11px; font-family: "SF Mono", "Roboto Mono", monospace;
+        color: #4ade80; background: rgba(74,222,128,0.1);
+        padding: 2px 6px; border-radius: 4px;
+      }
       
       /* Grid Layout for Metrics */
       .grid {
@@ -1345,6 +1969,14 @@
         font-size: 13px; color: #f0f0f0; font-family: "SF Mono", "Roboto Mono", monospace;
         font-weight: 500;
       }
+      .cell .value.edited { color: #fcd34d; }
+      .edit-input {
+        all: unset; width: 100%; box-sizing: border-box;
+        padding: 2px 6px; margin: -3px -7px; border-radius: 4px;
+        background: rgba(255,255,255,0.06); border: 1px solid rgba(255,255,255,0.15);
+      }
+      .edit-input:focus { border-color: rgba(99,102,241,0.8); }
+      .edit-input.invalid { border-color: rgba(248,113,113,0.8); }
       
       /* Color Section */
       .color-section {
@@ -1354,7 +1986,7 @@
         border-top: 1px solid rgba(255,255,255,0.06);
       }
       .color-identity {
-        display: flex; align-items: center; gap: 12px;
+        display: flex; align-items: center; gap: 12px; cursor: pointer;
       }
       .mini-swatch {
         width: 24px; height: 24px; border-radius: 6px;
@@ -1369,6 +2001,38 @@
       .copy-actions {
         display: flex; gap: 6px;
       }
+
+      /* Live Edit */
+      .color-edit { width: 24px; height: 24px; padding: 0; border: none; background: none; cursor: pointer; }
+      .edit-section .copy-actions { align-items: center; }
+      .edit-section label {
+        font-size: 10px; text-transform: uppercase; letter-spacing: 0.08em;
+        color: rgba(255,255,255,0.5); font-weight: 600;
+      }
+      .edit-scope {
+        all: unset; font-size: 11px; padding: 3px 6px; border-radius: 4px; max-width: 140px;
+        overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+        background: rgba(255,255,255,0.06); color: rgba(255,255,255,0.8);
+      }
+      .copy-btn:disabled { opacity: 0.4; cursor: default; }
+
+      /* Contrast Section */
+      .contrast-sample {
+        width: 36px; height: 24px; border-radius: 6px; flex-shrink: 0;
+        display: flex; align-items: center; justify-content: center;
+        font-size: 13px; font-weight: 700; border: 1px solid rgba(255,255,255,0.2);
+      }
+      .contrast-ratio { display: flex; flex-direction: column; gap: 2px; }
+      .contrast-ratio .note { font-size: 10px; color: rgba(255,255,255,0.45); }
+      .grade {
+        font-size: 10px; font-weight: 700; padding: 3px 6px; border-radius: 4px;
+        background: rgba(248,113,113,0.15); color: #fca5a5; letter-spacing: 0.05em;
+      }
+      .grade.pass { background: rgba(74,222,128,0.15); color: #4ade80; }
+      .css-label {
+        font-size: 10px; text-transform: uppercase; letter-spacing: 0.08em;
+        color: rgba(255,255,255,0.5); font-weight: 600;
+      }
       .copy-btn {
         all: unset;
         font-size: 10px; font-weight: 700; color: rgba(255,255,255,0.6);
@@ -1392,7 +2056,29 @@
         background: rgba(255,255,255,0.05);
       }
       .iconbtn:hover { background: rgba(255,255,255,0.15); color: #fff; }
+      .iconbtn.active { background: rgba(99,102,241,0.35); color: #fff; }
       .iconbtn svg { width: 16px; height: 16px; }
+      .iconbtn.search-more { width: 16px; margin-left: -6px; }
+      .iconbtn.search-more svg { width: 12px; height: 12px; }
+      .search-menu {
+        position: fixed; z-index: 12; width: 180px; padding: 6px;
+        background: rgba(20,20,20,0.95); color: #fff;
+        border: 1px solid rgba(255,255,255,0.1); border-radius: 12px;
+        box-shadow: 0 12px 32px rgba(0,0,0,0.5);
+        font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        display: flex; flex-direction: column; gap: 2px;
+      }
+      .search-menu[hidden] { display: none; }
+      .search-item {
+        all: unset; cursor: pointer; display: flex; align-items: center; justify-content: space-between;
+        padding: 6px 8px; border-radius: 6px;
+        font-size: 12px; font-weight: 600; color: rgba(255,255,255,0.8);
+      }
+      .search-item:hover { background: rgba(255,255,255,0.1); color: #fff; }
+      .search-item .default {
+        font-size: 9px; text-transform: uppercase; letter-spacing: 0.08em;
+        color: rgba(255,255,255,0.4);
+      }
       
       /* Tooltip & Toast */
       .tip {
@@ -1404,10 +2090,10 @@
       .tip.show{ opacity:1; transform: translateY(0); }
       .toast{ position:fixed; z-index:11; padding:8px 12px; background:#22c55e; color:#fff; border-radius:20px; font-size:12px; font-weight:600; box-shadow: 0 4px 12px rgba(0,0,0,0.3); }
       
-      /* Forced Mode Badge */
-      .mode-badge {
+      /* Confidence Badge */
+      .confidence-badge {
         font-size: 9px;
-        background: linear-gradient(135deg, #f59e0b, #d97706);
+        background: linear-gradient(135deg, #f87171, #dc2626);
         color: #000;
         padding: 3px 7px;
         border-radius: 4px;
@@ -1417,7 +2103,10 @@
         text-transform: uppercase;
         vertical-align: middle;
         box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+        cursor: help;
       }
+      .confidence-badge.high { background: linear-gradient(135deg, #4ade80, #16a34a); }
+      .confidence-badge.medium { background: linear-gradient(135deg, #f59e0b, #d97706); }
       
       /* All Fonts Popup Styles */
       .all-fonts-card {
@@ -1498,6 +2187,84 @@
       }
       .empty-state-icon { font-size: 32px; margin-bottom: 12px; }
       .empty-state-text { font-size: 14px; }
+
+      /* Font Face Section */
+      .face-section {
+        padding: 12px 20px;
+        display: flex; flex-direction: column; gap: 8px;
+        border-bottom: 1px solid rgba(255,255,255,0.06);
+      }
+      .face-section > label {
+        font-size: 10px; text-transform: uppercase; letter-spacing: 0.08em;
+        color: rgba(255,255,255,0.5); font-weight: 600;
+      }
+      .face-kind {
+        margin-left: 8px; padding: 1px 6px; border-radius: 4px;
+        background: rgba(255,255,255,0.08); color: rgba(255,255,255,0.7);
+      }
+      .face-kind.variable { background: rgba(74,222,128,0.15); color: #4ade80; }
+
+      /* Compare Section */
+      .compare-grid {
+        display: grid; grid-template-columns: auto 1fr 1fr; gap: 4px 10px;
+        font-size: 11px; align-items: baseline;
+      }
+      .compare-grid .k { color: rgba(255,255,255,0.5); }
+      .compare-grid .h { color: rgba(255,255,255,0.5); font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .compare-grid .v {
+        color: rgba(255,255,255,0.85); font-family: "SF Mono", "Roboto Mono", monospace;
+        overflow-wrap: anywhere;
+      }
+      .compare-grid .v.diff { color: #fcd34d; background: rgba(251,191,36,0.12); border-radius: 3px; padding: 0 3px; }
+
+      /* Why this font */
+      .why-line { display: flex; gap: 8px; font-size: 11px; color: rgba(255,255,255,0.8); margin-top: 6px; }
+      .why-line.mono span:last-child { font-family: "SF Mono", "Roboto Mono", monospace; word-break: break-word; }
+      .why-line.warn span:last-child { color: #fcd34d; }
+      .why-key { flex-shrink: 0; width: 70px; color: rgba(255,255,255,0.45); }
+      .why-steps { display: flex; flex-direction: column; gap: 2px; margin-top: 8px; max-height: 160px; overflow-y: auto; }
+      .why-step { display: flex; align-items: baseline; gap: 6px; font-size: 11px; }
+      .why-mark { width: 12px; flex-shrink: 0; color: #f87171; }
+      .why-step.chosen .why-mark { color: #4ade80; }
+      .why-family { color: #fff; font-weight: 600; white-space: nowrap; }
+      .why-step.rejected .why-family { color: rgba(255,255,255,0.6); text-decoration: line-through; }
+      .why-detail { color: rgba(255,255,255,0.45); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+
+      /* History Section */
+      .history-section { border-bottom: none; border-top: 1px solid rgba(255,255,255,0.06); }
+      .history-head { display: flex; align-items: center; justify-content: space-between; }
+      .history-toggle {
+        all: unset; cursor: pointer; font-size: 10px; text-transform: uppercase; letter-spacing: 0.08em;
+        color: rgba(255,255,255,0.5); font-weight: 600;
+      }
+      .history-toggle:hover { color: #fff; }
+      .history-list { display: flex; flex-direction: column; gap: 2px; max-height: 180px; overflow-y: auto; }
+      .history-item {
+        display: flex; align-items: center; gap: 8px; padding: 5px 6px; border-radius: 6px; cursor: pointer;
+      }
+      .history-item:hover { background: rgba(255,255,255,0.06); }
+      .history-item .mini-swatch { width: 12px; height: 12px; border-radius: 3px; flex-shrink: 0; }
+      .history-text { display: flex; flex-direction: column; min-width: 0; }
+      .history-font { font-size: 12px; color: #fff; font-weight: 600; }
+      .history-snippet {
+        font-size: 11px; color: rgba(255,255,255,0.45);
+        overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+      }
+
+      /* OpenType Section */
+      .face-chip.on { background: rgba(74,222,128,0.15); color: #4ade80; }
+      .face-chip.off { text-decoration: line-through; color: rgba(255,255,255,0.4); }
+      .face-chip.missing { background: rgba(248,113,113,0.15); color: #fca5a5; }
+      .ot-note { font-size: 11px; color: rgba(255,255,255,0.4); }
+
+      /* Glyph Runs Section */
+      .run-text {
+        font-size: 13px; line-height: 1.6; color: rgba(255,255,255,0.85);
+        max-height: 72px; overflow: hidden; word-break: break-word;
+      }
+      .run-text mark { background: rgba(251,191,36,0.25); color: #fcd34d; border-radius: 2px; }
+      .face-chip.fallback { background: rgba(251,191,36,0.2); color: #fcd34d; }
+      ${FACE_CSS}
     `);
     popupRoot.adoptedStyleSheets = [sheet];
 
@@ -1538,34 +2305,132 @@
     closeBtn.appendChild(svg);
     closeBtn.addEventListener("click", closePopup);
 
+    // Compare mode: pin this inspection, then pick another element
+    const pinBtn = document.createElement("button");
+    pinBtn.className = "iconbtn";
+    pinBtn.setAttribute("aria-label", "Pin to compare");
+    pinBtn.title = "Pin to compare with the next element you pick";
+    const pinSvg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    pinSvg.setAttribute("viewBox", "0 0 24 24");
+    pinSvg.setAttribute("fill", "none");
+    pinSvg.setAttribute("stroke", "currentColor");
+    pinSvg.setAttribute("stroke-width", "2");
+    pinSvg.setAttribute("stroke-linecap", "round");
+    pinSvg.setAttribute("stroke-linejoin", "round");
+    const pinPath = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    pinPath.setAttribute("d", "M12 17v5M9 3h6M10 3v7l-4 4v3h12v-3l-4-4V3");
+    pinSvg.appendChild(pinPath);
+    pinBtn.appendChild(pinSvg);
+    pinBtn.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      togglePin();
+    });
+
+    actions.appendChild(pinBtn);
     actions.appendChild(closeBtn);
+
+    // Provider menu for the search button, filled per inspection. It sits
+    // beside the card because the card's backdrop-filter would anchor a
+    // fixed-position child to the card instead of the viewport.
+    const searchMenu = document.createElement("div");
+    searchMenu.className = "search-menu";
+    searchMenu.hidden = true;
     topRow.appendChild(fontName);
     topRow.appendChild(actions);
     header.appendChild(topRow);
 
+    // Precise mode: fonts reported by the DevTools protocol
+    const rendered = document.createElement("div");
+    rendered.className = "rendered";
+    rendered.style.display = "none";
+    header.appendChild(rendered);
+
+    // Compare Section (pinned inspection vs this one)
+    const compareSec = document.createElement("div");
+    compareSec.className = "face-section compare-section";
+    compareSec.style.display = "none";
+
     // Grid Container
     const grid = document.createElement("div");
     grid.className = "grid";
     grid.id = "fs-grid";
 
+    // Why Section (detection trace, collapsed by default)
+    const whySec = document.createElement("div");
+    whySec.className = "face-section why-section";
+
+    // Font Face Section (hidden for installed/system fonts)
+    const faceSec = document.createElement("div");
+    faceSec.className = "face-section";
+    faceSec.style.display = "none";
+
+    // OpenType Section (active features + what the font file supports)
+    const otSec = document.createElement("div");
+    otSec.className = "face-section ot-section";
+    otSec.style.display = "none";
+
+    // Glyph Runs Section (mixed-script text rendered by several fonts)
+    const runsSec = document.createElement("div");
+    runsSec.className = "face-section runs-section";
+    runsSec.style.display = "none";
+
     // Color Section
     const colorSec = document.createElement("div");
     colorSec.className = "color-section";
     colorSec.id = "fs-color-sec";
 
+    // Contrast Section
+    const contrastSec = document.createElement("div");
+    contrastSec.className = "color-section contrast-section";
+
+    // CSS Rule Section
+    const cssSec = document.createElement("div");
+    cssSec.className = "color-section css-section";
+
+    // Live Edit Section (scope, reset, copy; shown while editing)
+    const editSec = document.createElement("div");
+    editSec.className = "color-section edit-section";
+    editSec.style.display = "none";
+
+    // History Section (collapsible list of this session's inspections)
+    const historySec = document.createElement("div");
+    historySec.className = "face-section history-section";
+
     card.appendChild(header);
+    card.appendChild(compareSec);
     card.appendChild(grid);
+    card.appendChild(whySec);
+    card.appendChild(faceSec);
+    card.appendChild(otSec);
+    card.appendChild(runsSec);
     card.appendChild(colorSec);
+    card.appendChild(contrastSec);
+    card.appendChild(cssSec);
+    card.appendChild(editSec);
+    card.appendChild(historySec);
 
     popupRoot.appendChild(card);
+    popupRoot.appendChild(searchMenu);
 
     popupCard = card;
     // Expose elements for update
     rowsEl = {
       name: fontName,
+      rendered: rendered,
       actions: actions,
+      searchMenu: searchMenu,
+      pin: pinBtn,
+      compare: compareSec,
       grid: grid,
-      color: colorSec
+      why: whySec,
+      faces: faceSec,
+      opentype: otSec,
+      runs: runsSec,
+      color: colorSec,
+      contrast: contrastSec,
+      css: cssSec,
+      edit: editSec,
+      history: historySec
     };
 
     document.documentElement.appendChild(popupHost);
@@ -1592,37 +2457,395 @@
   };
 
   const closePopup = () => {
+    rowsEl?.closeSearchMenu?.();
     if (popupHost) { popupHost.remove(); popupHost = null; popupRoot = null; popupCard = null; rowsEl = null; }
   };
 
+  // ========== SHOW ON PAGE (every element using a font) ==========
+  const MAX_FONT_MATCHES = 2000;
+  let fontMatches = null; // { family, all, shown, index, layer, bar, counter, redraw }
+
+  // First installed/loaded family of a font-family stack, cached per stack
+  // (cleared with the availability answers when fonts finish loading)
+  const stackFamilyCache = new Map();
+  const clearFontCaches = () => {
+    stackFamilyCache.clear();
+    resetAvailability();
+  };
+  const renderedFamilyOf = (fontFamily) => {
+    if (!stackFamilyCache.has(fontFamily)) {
+      const families = parseFamilies(fontFamily);
+      const real = families.find((f) => {
+        const low = f.toLowerCase();
+        return !genericSet.has(low) && !ALIAS_SET.has(low) && isFontAvailable(f);
+      });
+      stackFamilyCache.set(fontFamily, real || families[0] || "");
+    }
+    return stackFamilyCache.get(fontFamily);
+  };
+
+  const variantKey = (m) => `${normalizeWeightNumber(m.weight)} ${m.style}`;
+
+  // Show on page stops at MAX_FONT_MATCHES; font swap passes a root and no limit
+  const findFontMatches = (family, { limit = MAX_FONT_MATCHES, root, hidden } = {}) => {
+    const want = family.toLowerCase();
+    const matches = [];
+    for (const el of textElements(limit * 5, { root, hidden })) {
+      const cs = getComputedStyle(el);
+      if (renderedFamilyOf(cs.fontFamily).toLowerCase() !== want) continue;
+      matches.push({ el, weight: cs.fontWeight, style: cs.fontStyle, stack: cs.fontFamily });
+      if (matches.length >= limit) break;
+    }
+    return matches;
+  };
+
+  const drawFontMatchBoxes = () => {
+    const { layer, shown, index } = fontMatches;
+    layer.replaceChildren();
+    const { sx, sy } = getViewport();
+    shown.forEach((m, i) => {
+      const r = getTextBoundingRect(m.el);
+      if (!r.width && !r.height) return;
+      const box = document.createElement("div");
+      const current = i === index;
+      Object.assign(box.style, {
+        position: "absolute", pointerEvents: "none", borderRadius: "4px",
+        left: `${r.left + sx - 2}px`, top: `${r.top + sy - 2}px`,
+        width: `${r.width + 4}px`, height: `${r.height + 4}px`,
+        border: current ? "2px solid rgba(251,191,36,.95)" : "1px dashed rgba(99,102,241,.8)",
+        background: current ? "rgba(251,191,36,.12)" : "rgba(99,102,241,.06)"
+      });
+      layer.appendChild(box);
+    });
+  };
+
+  const goToFontMatch = (i) => {
+    const { shown } = fontMatches;
+    if (!shown.length) {
+      fontMatches.index = -1;
+      fontMatches.counter.textContent = "0 / 0";
+      drawFontMatchBoxes();
+      return;
+    }
+    fontMatches.index = (i + shown.length) % shown.length;
+    shown[fontMatches.index].el.scrollIntoView({ block: "center" });
+    fontMatches.counter.textContent = `${fontMatches.index + 1} / ${shown.length}`;
+    drawFontMatchBoxes();
+  };
+
+  const clearFontMatches = () => {
+    if (!fontMatches) return;
+    window.removeEventListener("scroll", fontMatches.redraw, true);
+    window.removeEventListener("resize", fontMatches.redraw);
+    fontMatches.layer.remove();
+    fontMatches.bar.remove();
+    fontMatches = null;
+  };
+
+  // Floating pill bar at the bottom of the page (Show on page, Font swap)
+  const createPageBar = (id, bottom, label) => {
+    const bar = document.createElement("div");
+    bar.id = id;
+    Object.assign(bar.style, {
+      position: "fixed", bottom, left: "50%", transform: "translateX(-50%)", zIndex: "2147483647",
+      display: "flex", alignItems: "center", gap: "10px", padding: "8px 10px 8px 14px",
+      background: "rgba(15, 15, 15, 0.90)", border: "1px solid rgba(255,255,255,0.1)",
+      borderRadius: "99px", backdropFilter: "blur(12px)", boxShadow: "0 8px 32px rgba(0,0,0,0.4)",
+      fontFamily: "system-ui, -apple-system, sans-serif", fontSize: "12px", color: "rgba(255,255,255,0.9)"
+    });
+    const name = document.createElement("span");
+    name.textContent = label;
+    Object.assign(name.style, { fontWeight: "600", maxWidth: "200px", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" });
+    bar.appendChild(name);
+    return bar;
+  };
+
+  const pageBarButton = (label, title, onClick) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.textContent = label;
+    b.title = title;
+    Object.assign(b.style, {
+      all: "unset", cursor: "pointer", fontSize: "12px", fontWeight: "600",
+      padding: "3px 9px", borderRadius: "6px", background: "rgba(255,255,255,0.1)", color: "#fff"
+    });
+    b.addEventListener("click", (e) => { e.stopPropagation(); onClick(); });
+    return b;
+  };
+
+  const showFontMatches = (family) => {
+    clearFontMatches();
+    const all = findFontMatches(family);
+
+    const layer = document.createElement("div");
+    layer.id = "fs-font-matches-layer";
+    Object.assign(layer.style, { position: "absolute", left: "0", top: "0", zIndex: "2147483645", pointerEvents: "none" });
+
+    // Navigation bar: family, weight/style filter, counter, prev/next, close
+    const bar = createPageBar("fs-font-matches", "20px", family);
+
+    const filter = document.createElement("select");
+    filter.title = "Weight and style";
+    Object.assign(filter.style, {
+      all: "unset", fontSize: "11px", padding: "3px 8px", borderRadius: "6px",
+      background: "rgba(255,255,255,0.1)", color: "#fff"
+    });
+    filter.appendChild(new Option("All variants", ""));
+    const variants = [...new Set(all.map(variantKey))].sort();
+    for (const v of variants) filter.appendChild(new Option(v, v));
+    filter.disabled = variants.length < 2;
+
+    const counter = document.createElement("span");
+    Object.assign(counter.style, { fontFamily: "\"SF Mono\", \"Roboto Mono\", monospace", fontSize: "11px", minWidth: "56px", textAlign: "center" });
+
+    const prev = pageBarButton("‹", "Previous", () => goToFontMatch(fontMatches.index - 1));
+    const next = pageBarButton("›", "Next", () => goToFontMatch(fontMatches.index + 1));
+    const close = pageBarButton("✕", "Clear highlights", clearFontMatches);
+
+    bar.append(filter, counter, prev, next, close);
+    document.documentElement.append(layer, bar);
+
+    // Boxes are in page coordinates, so only scrolling inside a container or a
+    // reflow moves the text away from them; redraw once per frame when that happens
+    let rafId = null;
+    const redraw = () => {
+      if (rafId) return;
+      rafId = requestAnimationFrame(() => {
+        rafId = null;
+        if (fontMatches?.layer === layer) drawFontMatchBoxes();
+      });
+    };
+    window.addEventListener("scroll", redraw, true);
+    window.addEventListener("resize", redraw);
+
+    fontMatches = { family, all, shown: all, index: 0, layer, bar, counter, redraw };
+    filter.addEventListener("change", () => {
+      fontMatches.shown = filter.value ? all.filter(m => variantKey(m) === filter.value) : all;
+      goToFontMatch(0);
+    });
+    goToFontMatch(0);
+  };
+
+  // ========== FONT SWAP PREVIEW ==========
+  // Elements rendered in the original family get a marker attribute, and one
+  // adopted stylesheet points every marker at the replacement. Flipping back
+  // to the original only disables that sheet. Text added while the swap is on
+  // is marked as it arrives. (An @font-face override for the family would
+  // cover new text too, but local() only reaches an installed font's regular
+  // face, so bold and italic text would lose their variants.)
+  const FONT_FILE_RE = /\.(woff2?|ttf|otf)$/i;
+  let fontSwap = null; // { from, to, face, sheet, stacks, elements, observer, bar, toggle, count }
+  let swapFaceCount = 0;
+
+  // One rule per distinct stack keeps each element's own fallbacks
+  const markFontSwap = (matches) => {
+    const { sheet, stacks, elements } = fontSwap;
+    for (const { el, stack } of matches) {
+      let i = stacks.indexOf(stack);
+      if (i < 0) {
+        i = stacks.push(stack) - 1;
+        sheet.insertRule(`[data-fs-swap="${i}"] { font-family: ${quoteFamily(fontSwap.family)}, ${stack} !important; }`, i);
+      }
+      el.setAttribute("data-fs-swap", String(i));
+      elements.add(el);
+    }
+    fontSwap.count.textContent = `${elements.size} element${elements.size === 1 ? "" : "s"}`;
+  };
+
+  const endFontSwap = () => {
+    if (!fontSwap) return;
+    fontSwap.observer.disconnect();
+    for (const el of fontSwap.elements) el.removeAttribute("data-fs-swap");
+    document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => sheet !== fontSwap.sheet);
+    if (fontSwap.face) document.fonts.delete(fontSwap.face);
+    fontSwap.bar.remove();
+    fontSwap = null;
+  };
+
+  const setFontSwapActive = (active) => {
+    fontSwap.sheet.disabled = !active;
+    fontSwap.toggle.textContent = active ? "Show original" : "Show replacement";
+  };
+
+  // source: { family } of an installed font, or { file } dropped into the panel
+  const startFontSwap = async (from, source) => {
+    let family = source.family?.trim();
+    let face = null;
+    if (source.file) {
+      if (!FONT_FILE_RE.test(source.file.name)) throw new Error("Drop a .woff2, .woff, .ttf or .otf file");
+      family = `FontSeek Swap ${++swapFaceCount}`;
+      face = new FontFace(family, await source.file.arrayBuffer());
+      try {
+        await face.load();
+      } catch {
+        throw new Error(`Couldn't load ${source.file.name}`);
+      }
+    } else if (!family) {
+      throw new Error("Enter a font name");
+    } else if (!isFontAvailable(family)) {
+      throw new Error(`"${family}" isn't installed`);
+    }
+
+    const matches = findFontMatches(from, { limit: Infinity, hidden: true });
+    if (!matches.length) throw new Error(`Nothing on the page uses ${from}`);
+    endFontSwap();
+    if (face) document.fonts.add(face);
+
+    const sheet = new CSSStyleSheet();
+    document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+
+    const to = source.file ? source.file.name : family;
+    const bar = createPageBar("fs-font-swap", "72px", `${from} → ${to}`);
+    const count = document.createElement("span");
+    Object.assign(count.style, { fontSize: "11px", opacity: "0.6" });
+    const toggle = pageBarButton("", "Flip between the original and the replacement", () => setFontSwapActive(fontSwap.sheet.disabled));
+    const close = pageBarButton("✕", "End font swap", endFontSwap);
+    bar.append(count, toggle, close);
+    document.documentElement.appendChild(bar);
+
+    // New text inherits the swap from a marked parent, or declares the
+    // original family itself and gets marked here
+    const observer = new MutationObserver((records) => {
+      if (!fontSwap) return;
+      for (const r of records) {
+        for (const node of r.addedNodes) {
+          const root = node.nodeType === 1 ? node : node.parentElement;
+          if (root?.isConnected && !root.closest(PAGE_UI)) markFontSwap(findFontMatches(from, { limit: Infinity, root, hidden: true }));
+        }
+      }
+    });
+
+    fontSwap = { from, to, family, face, sheet, stacks: [], elements: new Set(), observer, bar, toggle, count };
+    markFontSwap(matches);
+    observer.observe(document.body || document.documentElement, { childList: true, subtree: true });
+    setFontSwapActive(true);
+  };
+
+  // Scale view body for the All Fonts panel; clicking a size steps through its elements
+  const renderScaleView = (scale) => {
+    const view = document.createElement("div");
+    view.className = "all-fonts-list";
+    if (!scale) {
+      const empty = document.createElement("div");
+      empty.className = "empty-state";
+      empty.textContent = "No text found";
+      view.appendChild(empty);
+      return view;
+    }
+
+    const summary = document.createElement("div");
+    summary.className = "scale-summary";
+    const ratio = document.createElement("strong");
+    ratio.textContent = `${scale.ratioName} (${scale.ratio})`;
+    const offScale = scale.sizes.filter(s => !s.onScale).length;
+    summary.append(ratio, ` · base ${scale.basePx}px · root ${scale.rootPx}px · ${scale.fit}% fit` +
+      (offScale ? ` · ${offScale} off-scale` : ""));
+    view.appendChild(summary);
+
+    for (const size of scale.sizes) {
+      const item = document.createElement("div");
+      item.className = "font-item";
+
+      const nameRow = document.createElement("div");
+      nameRow.className = "font-item-name";
+      const px = document.createElement("span");
+      px.textContent = `${size.px}px`;
+      const rem = document.createElement("span");
+      rem.className = "scale-rem";
+      rem.textContent = `${size.rem}rem`;
+      nameRow.append(px, rem);
+
+      const tags = document.createElement("div");
+      tags.className = "font-item-contexts";
+      const tag = (text, bg) => {
+        const t = document.createElement("span");
+        t.className = "context-tag";
+        t.textContent = text;
+        t.style.background = bg;
+        tags.appendChild(t);
+      };
+      if (size.px === scale.basePx) tag("base", "rgba(74, 222, 128, 0.2)");
+      else if (size.onScale) tag(`step ${size.step > 0 ? "+" : ""}${size.step}`, "rgba(96, 165, 250, 0.2)");
+      else tag(`off-scale · nearest ${size.expectedPx}px`, "rgba(251, 191, 36, 0.2)");
+      tag(`${size.count} element${size.count === 1 ? "" : "s"}`, "rgba(255, 255, 255, 0.08)");
+
+      const selectors = document.createElement("div");
+      selectors.className = "font-item-weights";
+      const uniqueSelectors = [...new Set(size.elements.map(cssSelectorFor))];
+      selectors.textContent = uniqueSelectors.slice(0, 4).join(", ") +
+        (uniqueSelectors.length > 4 ? ` + ${uniqueSelectors.length - 4} more` : "");
+
+      let next = 0;
+      item.title = "Click to show on page";
+      item.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        const el = size.elements[next++ % size.elements.length];
+        if (!el.isConnected) return;
+        el.scrollIntoView({ block: "center" });
+        showHighlight(el);
+      });
+
+      item.append(nameRow, tags, selectors);
+      view.appendChild(item);
+    }
+    return view;
+  };
+
   // All Fonts Popup - shows all detected fonts on the page
   let allFontsHost = null;
+  let allFontsPos = { x: 0, y: 0 };
 
   const closeAllFontsPopup = () => {
+    unwatchFonts();
     if (allFontsHost) { allFontsHost.remove(); allFontsHost = null; }
     // Restore toolbar visibility
     if (exitEl) exitEl.style.display = 'flex';
   };
 
-  const showAllFontsPopup = (x, y) => {
-    try {
-      console.log('[FontSeek] showAllFontsPopup called at:', x, y);
+  // The scan runs first, with a progress bar on the page, then the panel opens
+  let fontScan = null; // { controller, bar }
+
+  const cancelFontScan = () => {
+    if (!fontScan) return;
+    fontScan.controller.abort();
+    fontScan.bar.remove();
+    fontScan = null;
+  };
+
+  const showAllFontsPopup = async (x, y) => {
+    cancelFontScan();
+    const controller = new AbortController();
+    const bar = createPageBar("fs-font-scan", "124px", "Scanning fonts");
+    const progress = document.createElement("span");
+    progress.textContent = "0%";
+    Object.assign(progress.style, { fontFamily: "\"SF Mono\", \"Roboto Mono\", monospace", fontSize: "11px", minWidth: "36px", textAlign: "center" });
+    bar.append(progress, pageBarButton("Cancel", "Stop scanning", cancelFontScan));
+    document.documentElement.appendChild(bar);
+    fontScan = { controller, bar };
+
+    const inventory = await scanPageFonts({
+      signal: controller.signal,
+      onProgress: (fraction) => { progress.textContent = `${Math.round(fraction * 100)}%`; }
+    });
+    if (!inventory) return;
+    bar.remove();
+    fontScan = null;
+    renderAllFontsPopup(x, y, inventory);
+  };
 
+  const renderAllFontsPopup = (x, y, inventory) => {
+    allFontsPos = { x, y };
+    let fonts = inventory.list();
+    try {
       closePopup(); // Close regular popup if open
       closeAllFontsPopup(); // Close any existing all fonts popup
 
       // Hide toolbar while popup is open to avoid z-index conflict
       if (exitEl) exitEl.style.display = 'none';
 
-      // Scan the page for all fonts
-      console.log('[FontSeek] Scanning page fonts...');
-      const fonts = scanPageFonts();
-      console.log('[FontSeek] Found fonts:', fonts.length, fonts);
-
       // Create popup host with shadow DOM
       allFontsHost = document.createElement("div");
       allFontsHost.id = "fs-all-fonts-host";
-      console.log('[FontSeek] Created allFontsHost element');
       Object.assign(allFontsHost.style, {
         position: "absolute", zIndex: "2147483647", inset: "0 auto auto 0"
       });
@@ -1769,6 +2992,84 @@
       }
       .close-btn svg { width: 16px; height: 16px; }
 
+      /* Export Menu */
+      .header-actions { display: flex; align-items: center; gap: 8px; }
+      .export-btn {
+        all: unset; cursor: pointer; height: 32px; padding: 0 12px; border-radius: 10px;
+        font-size: 12px; font-weight: 600; color: rgba(255, 255, 255, 0.8);
+        background: rgba(255, 255, 255, 0.05);
+        border: 1px solid rgba(255, 255, 255, 0.05);
+        transition: all 0.2s ease;
+      }
+      .export-btn:hover { background: rgba(255, 255, 255, 0.1); color: #fff; }
+      .export-btn:disabled { opacity: 0.4; cursor: default; }
+      .export-btn.active { background: rgba(99, 102, 241, 0.3); color: #fff; }
+      .all-fonts-list[hidden] { display: none; }
+
+      /* Scale View */
+      .scale-summary {
+        padding: 10px 20px; font-size: 12px; color: rgba(255, 255, 255, 0.7);
+        background: rgba(99, 102, 241, 0.08);
+        border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+      }
+      .scale-summary strong { color: #fff; font-weight: 600; }
+      .scale-rem { font-size: 12px; color: rgba(255, 255, 255, 0.4); font-family: 'SF Mono', 'Roboto Mono', monospace; }
+      .export-menu {
+        position: fixed; z-index: 50; width: 200px; padding: 6px;
+        background: rgba(20, 20, 20, 0.95);
+        border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 12px;
+        box-shadow: 0 12px 32px rgba(0, 0, 0, 0.5);
+        display: flex; flex-direction: column; gap: 2px;
+      }
+      .export-menu[hidden] { display: none; }
+      .export-row {
+        display: flex; align-items: center; gap: 4px;
+        padding: 4px 6px; font-size: 12px; font-weight: 600; color: #fff;
+      }
+      .export-row span { flex: 1; }
+      .export-item {
+        all: unset; cursor: pointer; font-size: 10px; font-weight: 700;
+        text-transform: uppercase; letter-spacing: 0.05em;
+        padding: 4px 8px; border-radius: 4px;
+        color: rgba(255, 255, 255, 0.6); background: rgba(255, 255, 255, 0.06);
+        transition: all 0.15s;
+      }
+      .export-item:hover { background: rgba(255, 255, 255, 0.15); color: #fff; }
+
+      /* Font Face Sources */
+      .font-item-faces {
+        display: flex; align-items: center; gap: 8px;
+        font-size: 11px; color: rgba(255, 255, 255, 0.5);
+      }
+      .faces-toggle {
+        all: unset; cursor: pointer; font-size: 10px; font-weight: 600;
+        text-transform: uppercase; letter-spacing: 0.05em;
+        padding: 2px 6px; border-radius: 4px;
+        color: rgba(255, 255, 255, 0.6); background: rgba(255, 255, 255, 0.06);
+      }
+      .faces-toggle:hover { background: rgba(255, 255, 255, 0.15); color: #fff; }
+      .font-item-name .show-btn { margin-left: auto; }
+      .font-item-usage { font-size: 11px; color: rgba(255, 255, 255, 0.55); font-family: 'SF Mono', 'Roboto Mono', monospace; }
+      .font-item.unused { opacity: 0.6; }
+      .new-tag {
+        font-size: 9px; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em;
+        padding: 1px 5px; border-radius: 4px; color: #4ade80; background: rgba(74, 222, 128, 0.15);
+      }
+      .font-item.drop-target { outline: 1px dashed rgba(99, 102, 241, 0.8); outline-offset: -4px; }
+      .swap-form { display: flex; gap: 6px; margin-top: 4px; }
+      .swap-form input {
+        all: unset; flex: 1; font-size: 12px; padding: 4px 8px; border-radius: 6px;
+        background: rgba(255, 255, 255, 0.06); border: 1px solid rgba(255, 255, 255, 0.12); color: #fff;
+      }
+      .swap-form input:focus { border-color: rgba(99, 102, 241, 0.8); }
+      .sheets-notice {
+        display: flex; align-items: center; justify-content: space-between; gap: 8px;
+        padding: 8px 20px; font-size: 11px; color: #fcd34d;
+        background: rgba(251, 191, 36, 0.08);
+        border-bottom: 1px solid rgba(255, 255, 255, 0.06);
+      }
+      ${FACE_CSS}
+
       /* Empty State */
       .empty-state {
         padding: 60px 24px; text-align: center; color: rgba(255, 255, 255, 0.4);
@@ -1795,7 +3096,6 @@
       const sheet = new CSSStyleSheet();
       sheet.replaceSync(cssText);
       shadow.adoptedStyleSheets = [sheet];
-      console.log('[FontSeek] Styles applied via adoptedStyleSheets');
 
       // Build the card
       const card = document.createElement("div");
@@ -1828,133 +3128,381 @@
       closeBtn.appendChild(closeSvg);
       closeBtn.addEventListener("click", closeAllFontsPopup);
 
+      const panelToast = (msg, x, y) => {
+        const toast = document.createElement("div");
+        toast.className = "toast";
+        toast.textContent = msg;
+        toast.style.left = (x + 12) + "px";
+        toast.style.top = (y + 12) + "px";
+        shadow.appendChild(toast);
+        setTimeout(() => toast.remove(), 1000);
+      };
+
+      // Export menu: copy or download the whole inventory
+      const exportBtn = document.createElement("button");
+      exportBtn.className = "export-btn";
+      exportBtn.type = "button";
+      exportBtn.textContent = "Export";
+      exportBtn.disabled = fonts.length === 0;
+
+      const exportMenu = document.createElement("div");
+      exportMenu.className = "export-menu";
+      exportMenu.hidden = true;
+      for (const fmt of Object.values(EXPORT_FORMATS)) {
+        const row = document.createElement("div");
+        row.className = "export-row";
+        const label = document.createElement("span");
+        label.textContent = fmt.label;
+
+        const copyItem = document.createElement("button");
+        copyItem.className = "export-item";
+        copyItem.type = "button";
+        copyItem.textContent = "Copy";
+        copyItem.addEventListener("click", async (ev) => {
+          ev.stopPropagation();
+          exportMenu.hidden = true;
+          try {
+            await navigator.clipboard.writeText(fmt.serialize(fonts));
+            panelToast(`Copied ${fmt.label}`, ev.clientX, ev.clientY);
+          } catch (err) {
+            console.error("Failed to copy font inventory:", err);
+            panelToast("Copy failed", ev.clientX, ev.clientY);
+          }
+        });
+
+        const downloadItem = document.createElement("button");
+        downloadItem.className = "export-item";
+        downloadItem.type = "button";
+        downloadItem.textContent = "Download";
+        downloadItem.addEventListener("click", (ev) => {
+          ev.stopPropagation();
+          exportMenu.hidden = true;
+          downloadText(fmt.serialize(fonts), exportFilename(fmt.ext), fmt.mime);
+        });
+
+        row.append(label, copyItem, downloadItem);
+        exportMenu.appendChild(row);
+      }
+      exportBtn.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        if (exportMenu.hidden) {
+          const r = exportBtn.getBoundingClientRect();
+          exportMenu.style.top = (r.bottom + 6) + "px";
+          exportMenu.style.left = (r.right - 200) + "px";
+        }
+        exportMenu.hidden = !exportMenu.hidden;
+      });
+      card.addEventListener("click", () => { exportMenu.hidden = true; });
+
+      // Scale view: font sizes in use and the modular scale they fit
+      const scaleBtn = document.createElement("button");
+      scaleBtn.className = "export-btn";
+      scaleBtn.type = "button";
+      scaleBtn.textContent = "Scale";
+      let scaleView = null;
+      scaleBtn.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        if (!scaleView) {
+          scaleView = renderScaleView(analyzeTypeScale());
+          list.after(scaleView);
+        }
+        const showScale = !scaleBtn.classList.contains("active");
+        scaleView.hidden = !showScale;
+        list.hidden = showScale;
+        scaleBtn.classList.toggle("active", showScale);
+        exportBtn.disabled = showScale || fonts.length === 0;
+      });
+
+      const headerActions = document.createElement("div");
+      headerActions.className = "header-actions";
+      headerActions.append(scaleBtn, exportBtn, closeBtn);
+
       header.appendChild(title);
-      header.appendChild(closeBtn);
+      header.appendChild(headerActions);
       card.appendChild(header);
 
+      // Cross-origin stylesheets the extension couldn't read without site access
+      if (unreadableSheets.length > 0) {
+        const notice = document.createElement("div");
+        notice.className = "sheets-notice";
+        const noticeText = document.createElement("span");
+        noticeText.textContent = `${unreadableSheets.length} stylesheet${unreadableSheets.length === 1 ? "" : "s"} from other sites couldn't be read.`;
+        noticeText.title = unreadableSheets.join("\n");
+        const allowBtn = document.createElement("button");
+        allowBtn.type = "button";
+        allowBtn.className = "faces-toggle";
+        allowBtn.textContent = "Allow access";
+        allowBtn.addEventListener("click", (ev) => {
+          ev.stopPropagation();
+          sendToExtension({ type: "fs:grant-stylesheets", urls: unreadableSheets });
+        });
+        notice.append(noticeText, allowBtn);
+        card.appendChild(notice);
+      }
+
       // List
       const list = document.createElement("div");
       list.className = "all-fonts-list";
 
-      if (fonts.length === 0) {
-        const empty = document.createElement("div");
-        empty.className = "empty-state";
-        const emptyIcon = document.createElement("div");
-        emptyIcon.className = "empty-state-icon";
-        emptyIcon.textContent = "—";
-        const emptyText = document.createElement("div");
-        emptyText.className = "empty-state-text";
-        emptyText.textContent = "No custom fonts detected";
-        empty.appendChild(emptyIcon);
-        empty.appendChild(emptyText);
-        list.appendChild(empty);
-      } else {
-        // Show up to 20 fonts to avoid overwhelming UI
-        const displayFonts = fonts.slice(0, 20);
-
-        for (const font of displayFonts) {
-          const item = document.createElement("div");
-          item.className = "font-item";
-
-          // Name row with loaded indicator
-          const nameRow = document.createElement("div");
-          nameRow.className = "font-item-name";
+      // Color map for different context types
+      const contextColors = {
+        "Heading": "rgba(96, 165, 250, 0.2)", // blue
+        "Body": "rgba(74, 222, 128, 0.2)",    // green
+        "Nav": "rgba(168, 85, 247, 0.2)",     // purple
+        "Link": "rgba(251, 146, 60, 0.2)",    // orange
+        "Button": "rgba(244, 114, 182, 0.2)", // pink
+        "Form": "rgba(45, 212, 191, 0.2)",    // teal
+        "Footer": "rgba(156, 163, 175, 0.2)", // gray
+        "Code": "rgba(251, 191, 36, 0.2)",    // amber
+        "List": "rgba(129, 140, 248, 0.2)",   // indigo
+        "Table": "rgba(232, 121, 249, 0.2)",  // fuchsia
+        "Cross-origin CSS": "rgba(251, 191, 36, 0.2)", // amber
+        "Default": "rgba(255, 255, 255, 0.08)" // default gray
+      };
+
+      // One row per family, built once and repainted in place by the live
+      // watcher, so an open Swap form or Sources list survives updates
+      const buildRow = (name) => {
+        const row = { font: null };
+        const item = document.createElement("div");
+        item.className = "font-item";
+        row.item = item;
+
+        // Name row with loaded indicator
+        const nameRow = document.createElement("div");
+        nameRow.className = "font-item-name";
+
+        const indicator = document.createElement("span");
+
+        const nameSpan = document.createElement("span");
+        nameSpan.textContent = name;
+        nameSpan.style.fontFamily = `"${name}", system-ui`;
+
+        const newTag = document.createElement("span");
+        newTag.className = "new-tag";
+        newTag.textContent = "New";
+        newTag.title = "Appeared after the panel opened";
+
+        // Outline every element rendered in this font
+        const showBtn = document.createElement("button");
+        showBtn.type = "button";
+        showBtn.className = "faces-toggle show-btn";
+        showBtn.textContent = "Show on page";
+        showBtn.addEventListener("click", (ev) => {
+          ev.stopPropagation();
+          closeAllFontsPopup();
+          showFontMatches(name);
+        });
 
-          const indicator = document.createElement("span");
-          indicator.className = font.isLoaded ? "font-item-loaded" : "font-item-not-loaded";
-          indicator.title = font.isLoaded ? "Font is loaded" : "Font may not be loaded";
+        // Preview another font in its place (installed name or dropped file)
+        const swapBtn = document.createElement("button");
+        swapBtn.type = "button";
+        swapBtn.className = "faces-toggle";
+        swapBtn.textContent = "Swap";
+        let swapForm = null;
+        const runSwap = async (source) => {
+          try {
+            await startFontSwap(name, source);
+            closeAllFontsPopup();
+          } catch (err) {
+            const r = swapBtn.getBoundingClientRect();
+            panelToast(err.message, r.left, r.bottom);
+          }
+        };
+        swapBtn.addEventListener("click", (ev) => {
+          ev.stopPropagation();
+          if (swapForm) { swapForm.remove(); swapForm = null; return; }
+          swapForm = document.createElement("form");
+          swapForm.className = "swap-form";
+          const input = document.createElement("input");
+          input.placeholder = "Installed font, or drop a font file";
+          input.spellcheck = false;
+          const apply = document.createElement("button");
+          apply.className = "faces-toggle";
+          apply.textContent = "Apply";
+          swapForm.append(input, apply);
+          swapForm.addEventListener("click", (e) => e.stopPropagation());
+          swapForm.addEventListener("submit", (e) => {
+            e.preventDefault();
+            runSwap({ family: input.value });
+          });
+          item.appendChild(swapForm);
+          input.focus();
+        });
+        item.addEventListener("dragover", (ev) => {
+          if (!ev.dataTransfer.types.includes("Files")) return;
+          ev.preventDefault();
+          item.classList.add("drop-target");
+        });
+        item.addEventListener("dragleave", () => item.classList.remove("drop-target"));
+        item.addEventListener("drop", (ev) => {
+          item.classList.remove("drop-target");
+          const file = ev.dataTransfer.files[0];
+          if (!file) return;
+          ev.preventDefault();
+          runSwap({ file });
+        });
 
-          const nameSpan = document.createElement("span");
-          nameSpan.textContent = font.name;
-          nameSpan.style.fontFamily = `"${font.name}", system-ui`;
-
-          nameRow.appendChild(indicator);
-          nameRow.appendChild(nameSpan);
-          item.appendChild(nameRow);
-
-          // Context tags with color-coding
-          if (font.contexts.length > 0) {
-            const contextRow = document.createElement("div");
-            contextRow.className = "font-item-contexts";
-
-            // Color map for different context types
-            const contextColors = {
-              "Heading": "rgba(96, 165, 250, 0.2)", // blue
-              "Body": "rgba(74, 222, 128, 0.2)",    // green
-              "Nav": "rgba(168, 85, 247, 0.2)",     // purple
-              "Link": "rgba(251, 146, 60, 0.2)",    // orange
-              "Button": "rgba(244, 114, 182, 0.2)", // pink
-              "Form": "rgba(45, 212, 191, 0.2)",    // teal
-              "Footer": "rgba(156, 163, 175, 0.2)", // gray
-              "Code": "rgba(251, 191, 36, 0.2)",    // amber
-              "List": "rgba(129, 140, 248, 0.2)",   // indigo
-              "Table": "rgba(232, 121, 249, 0.2)",  // fuchsia
-              "Default": "rgba(255, 255, 255, 0.08)" // default gray
-            };
-
-            // Show max 4 contexts
-            const displayContexts = font.contexts.slice(0, 4);
-            for (const ctx of displayContexts) {
-              const tag = document.createElement("span");
-              tag.className = "context-tag";
-              tag.textContent = ctx;
-              // Apply color based on context
-              const bgColor = contextColors[ctx] || contextColors["Default"];
-              tag.style.background = bgColor;
-              contextRow.appendChild(tag);
-            }
-            if (font.contexts.length > 4) {
-              const more = document.createElement("span");
-              more.className = "context-tag";
-              more.textContent = `+ ${font.contexts.length - 4} `;
-              contextRow.appendChild(more);
+        nameRow.append(indicator, nameSpan, newTag, showBtn, swapBtn);
+
+        // Rendered text share (per weight/style in the tooltip)
+        const usageRow = document.createElement("div");
+        usageRow.className = "font-item-usage";
+
+        // Context tags with color-coding
+        const contextRow = document.createElement("div");
+        contextRow.className = "font-item-contexts";
+
+        // Weights
+        const weightsRow = document.createElement("div");
+        weightsRow.className = "font-item-weights";
+
+        // @font-face sources (collapsed summary + expandable details)
+        const facesRow = document.createElement("div");
+        facesRow.className = "font-item-faces";
+        const facesSummary = document.createElement("span");
+        const toggle = document.createElement("button");
+        toggle.type = "button";
+        toggle.className = "faces-toggle";
+        toggle.textContent = "Sources";
+        let details = null;
+        toggle.addEventListener("click", (ev) => {
+          ev.stopPropagation();
+          if (details) { details.remove(); details = null; return; }
+          details = renderFaceList(row.font.faces);
+          item.appendChild(details);
+        });
+        facesRow.append(facesSummary, toggle);
+
+        item.append(nameRow, usageRow, contextRow, weightsRow, facesRow);
+
+        // Click to copy
+        item.addEventListener("click", async (ev) => {
+          try {
+            if (navigator.clipboard) {
+              await navigator.clipboard.writeText(name);
+              panelToast(`Copied "${name}"`, ev.clientX, ev.clientY);
             }
-            item.appendChild(contextRow);
+          } catch (err) {
+            console.error("Failed to copy font name:", err);
           }
+        });
 
-          // Weights
-          const weightsFiltered = font.weights.filter(w => w && w !== "undefined");
-          if (weightsFiltered.length > 0) {
-            const weightsRow = document.createElement("div");
-            weightsRow.className = "font-item-weights";
-            weightsRow.textContent = `Weights: ${weightsFiltered.join(", ")} `;
-            item.appendChild(weightsRow);
+        const show = (el, visible) => { el.style.display = visible ? "" : "none"; };
+
+        row.paint = (font, totalChars) => {
+          row.font = font;
+          indicator.className = font.isLoaded ? "font-item-loaded" : "font-item-not-loaded";
+          indicator.title = font.isLoaded ? "Font is loaded" : "Font may not be loaded";
+          show(newTag, font.addedLater);
+
+          show(usageRow, font.chars > 0);
+          item.classList.toggle("unused", font.chars <= 0);
+          if (font.chars > 0) {
+            const share = Math.round(font.chars / totalChars * 1000) / 10;
+            usageRow.textContent = `${share}% of text · ${font.chars.toLocaleString()} chars · ` +
+              `${font.elements.toLocaleString()} element${font.elements === 1 ? "" : "s"}`;
+            usageRow.title = font.variants.filter(v => v.chars > 0).map(v =>
+              `${v.weight} ${v.style}: ${v.chars.toLocaleString()} chars, ${v.elements} element${v.elements === 1 ? "" : "s"}`).join("\n");
           }
 
-          // Click to copy
-          item.addEventListener("click", async (ev) => {
-            try {
-              if (navigator.clipboard) {
-                await navigator.clipboard.writeText(font.name);
-                const toast = document.createElement("div");
-                toast.className = "toast";
-                toast.textContent = `Copied "${font.name}"`;
-                toast.style.left = (ev.clientX + 12) + "px";
-                toast.style.top = (ev.clientY + 12) + "px";
-                shadow.appendChild(toast);
-                setTimeout(() => toast.remove(), 1000);
-              }
-            } catch (err) {
-              console.error("Failed to copy font name:", err);
-            }
-          });
+          // Show max 4 contexts
+          show(contextRow, font.contexts.length > 0);
+          contextRow.replaceChildren();
+          for (const ctx of font.contexts.slice(0, 4)) {
+            const tag = document.createElement("span");
+            tag.className = "context-tag";
+            tag.textContent = ctx;
+            // Apply color based on context
+            tag.style.background = contextColors[ctx] || contextColors["Default"];
+            contextRow.appendChild(tag);
+          }
+          if (font.contexts.length > 4) {
+            const more = document.createElement("span");
+            more.className = "context-tag";
+            more.textContent = `+ ${font.contexts.length - 4} `;
+            contextRow.appendChild(more);
+          }
 
-          list.appendChild(item);
+          const weightsFiltered = font.weights.filter(w => w && w !== "undefined");
+          show(weightsRow, weightsFiltered.length > 0);
+          weightsRow.textContent = `Weights: ${weightsFiltered.join(", ")} `;
+
+          show(facesRow, font.faces.length > 0);
+          const formats = [...new Set(font.faces.flatMap(f => f.src.filter(s => s.url).map(s => s.format)))];
+          const displays = [...new Set(font.faces.map(f => f.display))];
+          facesSummary.textContent = [formats.join(", "), `display: ${displays.join(", ")}`,
+            `${font.faces.length} face${font.faces.length === 1 ? "" : "s"}`,
+            font.faces.some(isVariableFace) ? "variable" : ""].filter(Boolean).join(" · ");
+        };
+        return row;
+      };
+
+      const rows = new Map(); // family -> row
+      const more = document.createElement("div");
+      more.style.cssText = "padding: 12px 24px; text-align: center; color: rgba(255,255,255,0.4); font-size: 12px;";
+
+      // Adds, repaints, reorders and drops rows to match `fonts`. Rows that
+      // keep their place aren't touched beyond the repaint.
+      const syncList = () => {
+        if (fonts.length === 0) {
+          rows.clear();
+          const empty = document.createElement("div");
+          empty.className = "empty-state";
+          const emptyIcon = document.createElement("div");
+          emptyIcon.className = "empty-state-icon";
+          emptyIcon.textContent = "—";
+          const emptyText = document.createElement("div");
+          emptyText.className = "empty-state-text";
+          emptyText.textContent = "No custom fonts detected";
+          empty.appendChild(emptyIcon);
+          empty.appendChild(emptyText);
+          list.replaceChildren(empty);
+          return;
+        }
+        list.querySelector(".empty-state")?.remove();
+
+        // Cap the list (settings.allFontsLimit) to avoid overwhelming UI
+        const displayFonts = fonts.slice(0, settings.allFontsLimit);
+        const totalChars = fonts.reduce((sum, f) => sum + f.chars, 0);
+        const shown = new Set(displayFonts.map(f => f.name));
+        for (const [name, row] of rows) {
+          if (!shown.has(name)) { row.item.remove(); rows.delete(name); }
+        }
+
+        let prev = null;
+        for (const font of displayFonts) {
+          let row = rows.get(font.name);
+          if (!row) { row = buildRow(font.name); rows.set(font.name, row); }
+          row.paint(font, totalChars);
+          const slot = prev ? prev.nextSibling : list.firstChild;
+          if (slot !== row.item) list.insertBefore(row.item, slot);
+          prev = row.item;
         }
 
         // Show "and more" if there are more fonts
-        if (fonts.length > 20) {
-          const more = document.createElement("div");
-          more.style.cssText = "padding: 12px 24px; text-align: center; color: rgba(255,255,255,0.4); font-size: 12px;";
-          more.textContent = `... and ${fonts.length - 20} more fonts`;
+        if (fonts.length > settings.allFontsLimit) {
+          more.textContent = `... and ${fonts.length - settings.allFontsLimit} more fonts`;
           list.appendChild(more);
+        } else {
+          more.remove();
         }
-      }
+      };
+      syncList();
 
       card.appendChild(list);
       shadow.appendChild(card);
+      shadow.appendChild(exportMenu);
       document.body.appendChild(allFontsHost);
 
+      // Keep the list in sync with the page while the panel is open
+      watchFonts(inventory, () => {
+        fonts = inventory.list();
+        countBadge.textContent = fonts.length;
+        exportBtn.disabled = scaleBtn.classList.contains("active") || fonts.length === 0;
+        syncList();
+      });
+
       // Force visibility with inline styles
       allFontsHost.style.cssText = `
         position: fixed !important;
@@ -1980,18 +3528,8 @@
 
       allFontsHost.style.left = left + "px";
       allFontsHost.style.top = top + "px";
-
-      // Debug: log element info
-      console.log('[FontSeek] Host element:', allFontsHost);
-      console.log('[FontSeek] Host in DOM:', document.documentElement.contains(allFontsHost));
-      console.log('[FontSeek] Host position:', left, top, 'viewport:', vw, vh);
-      console.log('[FontSeek] Host computed style:', window.getComputedStyle(allFontsHost).display, window.getComputedStyle(allFontsHost).visibility);
-      console.log('[FontSeek] Card rect:', rect);
-
-      console.log('[FontSeek] All Fonts popup displayed successfully');
     } catch (err) {
-      console.error('[FontSeek] ERROR in showAllFontsPopup:', err);
-      alert('[FontSeek Debug] Error showing fonts: ' + err.message);
+      console.error("FontSeek All Fonts panel failed:", err);
     }
   };
 
@@ -2095,15 +3633,621 @@
     return isBlockedSiteDetected;
   };
 
-  // ========== INSPECT ELEMENT (core detection + popup display) ==========
-  // Takes a raw element (from elementFromPoint via overlay) and coordinates.
-  // No event object dependency — overlay guarantees this always fires.
-  const inspectElement = (rawEl, x, y) => {
-    if (!window.__FS_ACTIVE__) return;
+  // ========== CSS RULE EXPORT ==========
+  // Short, readable selector for the picked element (not guaranteed unique)
+  const cssSelectorFor = (el) => {
+    if (!el || el.nodeType !== 1) return "body";
+    if (el.id) return `#${CSS.escape(el.id)}`;
+    const classes = Array.from(el.classList).slice(0, 2).map(c => `.${CSS.escape(c)}`).join("");
+    return el.tagName.toLowerCase() + classes;
+  };
 
-    // Close any existing all-fonts popup
-    closeAllFontsPopup();
+  const quoteFamily = (name) =>
+    genericSet.has(name.toLowerCase()) || name.toLowerCase() === "system-ui" ? name : `"${name.replace(/"/g, '\\"')}"`;
+
+  // resolved: only the detected family plus the stack's generic fallback
+  const buildCssRule = (data, { resolved = false } = {}) => {
+    let family = data.declaredFamily || quoteFamily(data.family);
+    if (resolved) {
+      const generic = parseFamilies(data.declaredFamily).find(f => genericSet.has(f.toLowerCase())) || "sans-serif";
+      family = [quoteFamily(data.family), generic].filter((f, i, a) => a.indexOf(f) === i).join(", ");
+    }
+    const style = data.style && data.style !== "normal" ? `${data.style} ` : "";
+    const decls = [
+      `font: ${style}${normalizeWeightNumber(data.weight)} ${data.size}/${data.lineHeight} ${family};`
+    ];
+    if (data.letterSpacing && data.letterSpacing !== "normal") decls.push(`letter-spacing: ${data.letterSpacing};`);
+    decls.push(`color: ${data.colorHex};`);
+    if (data.textTransform && data.textTransform !== "none") decls.push(`text-transform: ${data.textTransform};`);
+    if (data.decoration && data.decoration !== "None") decls.push(`text-decoration-line: ${data.decoration};`);
+    return `${data.selector} {\n${decls.map(d => `  ${d}`).join("\n")}\n}`;
+  };
+
+  // ========== EXTENSION MESSAGING ==========
+  // chrome.runtime is not available in the page world; bridge.js (isolated world)
+  // relays our window messages to the service worker and back.
+  const PAGE_SOURCE = "fontseek:page";
+  const BRIDGE_SOURCE = "fontseek:bridge";
+  const FRAME_SOURCE = "fontseek:frame";
+  const pendingReplies = new Map(); // id -> resolve
+  let messageSeq = 0;
+
+  const sendToExtension = (message) => new Promise((resolve) => {
+    const id = ++messageSeq;
+    pendingReplies.set(id, resolve);
+    window.postMessage({ source: PAGE_SOURCE, id, message }, "*");
+  });
+
+  // Escape / Exit in any frame ends the session in every frame
+  const stopAll = () => {
+    sendToExtension({ type: "fs:stop" });
+    stop();
+  };
+
+  // Top frame -> the frame an inspection came from (0 is the top frame itself)
+  const sendToFrame = (frameId, payload) => {
+    if (!frameId) handleExtensionMessage(payload);
+    else sendToExtension({ type: "fs:to-frame", frameId, payload });
+  };
+
+  // ========== FRAME GEOMETRY ==========
+  // A child frame asks its parent where it sits; the parent answers with the
+  // iframe's content box plus its own offset, so nesting resolves recursively.
+  const offsetWaiters = new Map(); // id -> resolve
+
+  const getFrameOffset = () => {
+    if (isTopFrame) return Promise.resolve({ x: 0, y: 0 });
+    return new Promise((resolve) => {
+      const id = ++messageSeq;
+      const timer = setTimeout(() => { offsetWaiters.delete(id); resolve({ x: 0, y: 0 }); }, 500);
+      offsetWaiters.set(id, (off) => { clearTimeout(timer); resolve(off); });
+      try { window.parent.postMessage({ source: FRAME_SOURCE, type: "offset-request", id }, "*"); } catch { }
+    });
+  };
+
+  const answerOffsetRequest = async (e) => {
+    const frameEl = Array.from(document.querySelectorAll("iframe, frame"))
+      .find(f => f.contentWindow === e.source);
+    if (!frameEl) return;
+    const own = await getFrameOffset();
+    const r = frameEl.getBoundingClientRect();
+    e.source.postMessage({
+      source: FRAME_SOURCE, type: "offset-reply", id: e.data.id,
+      x: own.x + r.left + frameEl.clientLeft,
+      y: own.y + r.top + frameEl.clientTop
+    }, "*");
+  };
+
+  const handleExtensionMessage = (message) => {
+    switch (message.type) {
+      case "fs:inspection": {
+        if (!isTopFrame) break;
+        // frameId is set by background.js when a child frame relayed the result
+        const data = { ...message.data, frameId: message.frameId ?? 0 };
+        recordHistory(data);
+        showInspection(data, message.x, message.y);
+        break;
+      }
+      case "fs:highlight-inspection":
+        highlightInspected(message);
+        break;
+      case "fs:live-edit":
+        applyLiveEdit(message);
+        break;
+      case "fs:platform-fonts":
+        if (isTopFrame) applyInspectionReply(message);
+        break;
+      case "fs:font-features":
+        if (isTopFrame) applyInspectionReply(message);
+        break;
+      case "fs:precise":
+        setPreciseMode(message.enabled);
+        break;
+      case "fs:command":
+        if (isTopFrame) runCommand(message.command);
+        break;
+      case "fs:inspect-selection":
+        inspectSelection();
+        break;
+      case "fs:stylesheets-granted":
+        loadRemoteFontFaces().then(() => {
+          if (allFontsHost) showAllFontsPopup(allFontsPos.x, allFontsPos.y);
+        });
+        break;
+    }
+  };
+
+  // ========== KEYBOARD COMMANDS ==========
+  // Temporarily swap the toolbar status text (used where there's no popup for a toast)
+  // A flash during another keeps the status saved by the first and restarts the timer
+  let flashTimer = null, flashOriginal = null;
+  const flashToolbar = (msg) => {
+    if (!exitStatusEl) return;
+    if (!flashOriginal) flashOriginal = Array.from(exitStatusEl.childNodes);
+    exitStatusEl.textContent = msg;
+    clearTimeout(flashTimer);
+    flashTimer = setTimeout(() => {
+      exitStatusEl?.replaceChildren(...flashOriginal);
+      flashTimer = flashOriginal = null;
+    }, 1200);
+  };
+
+  // e.g. Inter 600 italic 16px/24px, letter-spacing 0.2px, #1A1A1A
+  const formatFontSpec = (data) => {
+    const style = data.style && data.style !== "normal" ? ` ${data.style}` : "";
+    return `${data.family} ${normalizeWeightNumber(data.weight)}${style} ${data.size}/${data.lineHeight}, ` +
+      `letter-spacing ${data.letterSpacing}, ${data.colorHex}`;
+  };
+
+  const runCommand = async (command) => {
+    switch (command) {
+      case "all-fonts": {
+        const { vw } = getViewport();
+        showAllFontsPopup(vw - 440, 60);
+        break;
+      }
+      case "copy-spec":
+        if (!lastInspection) { flashToolbar("Pick some text first"); break; }
+        try {
+          await navigator.clipboard.writeText(formatFontSpec(lastInspection));
+          flashToolbar("Copied font spec");
+        } catch {
+          flashToolbar("Copy failed");
+        }
+        break;
+    }
+  };
+
+  // ========== COMPARE MODE ==========
+  const COMPARE_FIELDS = [
+    ["Family", d => d.family],
+    ["Weight", d => String(normalizeWeightNumber(d.weight))],
+    ["Style", d => d.style],
+    ["Size", d => d.size],
+    ["Line Height", d => d.lineHeight],
+    ["Letter Spacing", d => d.letterSpacing],
+    ["Transform", d => d.textTransform],
+    ["Decoration", d => d.decoration],
+    ["Stretch", d => d.variation.stretch],
+    ["Variation", d => d.variation.settings],
+    ["Features", d => d.opentype.features.map(f => (f.on ? f.tag : `-${f.tag}`)).sort().join(" ") || "default"],
+    ["Colour", d => d.colorHex]
+  ];
+
+  const describeInspection = (d) => `${d.family} ${normalizeWeightNumber(d.weight)} ${d.size}`;
+
+  // Toolbar chip + popup pin button reflect the pinned inspection
+  const paintPin = () => {
+    rowsEl?.pin.classList.toggle("active", !!pinnedInspection && pinnedInspection.id === currentInspectionId);
+    if (pinChip) {
+      pinChip.style.display = pinnedInspection ? "" : "none";
+      pinChip.textContent = pinnedInspection ? `Pinned: ${describeInspection(pinnedInspection)} ✕` : "";
+    }
+  };
+
+  const renderCompare = (data) => {
+    rowsEl.compare.replaceChildren();
+    const pinned = pinnedInspection;
+    const show = !!pinned && pinned.id !== data.id;
+    rowsEl.compare.style.display = show ? "" : "none";
+    if (!show) return;
+
+    const gridEl = document.createElement("div");
+    gridEl.className = "compare-grid";
+    const cell = (cls, text) => {
+      const c = document.createElement("div");
+      c.className = cls;
+      c.textContent = text;
+      c.title = text;
+      gridEl.appendChild(c);
+    };
+    cell("k", "");
+    cell("h", "Pinned");
+    cell("h", "This");
+    let diffs = 0;
+    for (const [label, get] of COMPARE_FIELDS) {
+      const a = get(pinned), b = get(data);
+      const cls = a === b ? "v" : "v diff";
+      if (a !== b) diffs++;
+      cell("k", label);
+      cell(cls, a);
+      cell(cls, b);
+    }
+    const label = document.createElement("label");
+    label.textContent = diffs ? `Compare · ${diffs} difference${diffs === 1 ? "" : "s"}` : "Compare · identical";
+    rowsEl.compare.append(label, gridEl);
+  };
+
+  const setPinned = (data) => {
+    pinnedInspection = data;
+    paintPin();
+    if (rowsEl && lastInspection) renderCompare(lastInspection);
+  };
+
+  const togglePin = () => {
+    if (pinnedInspection && pinnedInspection.id === currentInspectionId) {
+      setPinned(null);
+    } else {
+      setPinned(lastInspection);
+      flashToolbar("Pinned — pick another element to compare");
+    }
+  };
+
+  // ========== INSPECTION HISTORY ==========
+  const MAX_HISTORY = 50;
+  const MAX_TRACKED_ELEMENTS = 100;
+
+  const trackInspected = (id, el) => {
+    inspectedElements.set(id, new WeakRef(el));
+    if (inspectedElements.size > MAX_TRACKED_ELEMENTS) inspectedElements.delete(inspectedElements.keys().next().value);
+  };
+
+  // Runs in the frame that owns the element. After a reload the element is
+  // gone, so persisted entries fall back to their selector on the same URL.
+  const highlightInspected = ({ id, selector, url }) => {
+    let el = inspectedElements.get(id)?.deref();
+    if (!el?.isConnected && selector && url === location.href) {
+      try { el = document.querySelector(selector); } catch { }
+    }
+    if (!el?.isConnected) return;
+    el.scrollIntoView({ block: "center" });
+    showHighlight(el);
+  };
+
+  // Only what the list shows is kept, so persisted history stays small
+  const historyEntry = (data) => ({
+    id: data.id,
+    family: data.family,
+    weight: data.weight,
+    style: data.style,
+    size: data.size,
+    lineHeight: data.lineHeight,
+    letterSpacing: data.letterSpacing,
+    colorHex: data.colorHex,
+    snippet: data.snippet,
+    selector: data.selector,
+    url: data.url,
+    frameId: data.frameId,
+    time: Date.now()
+  });
+
+  const saveHistory = () => {
+    if (settings.persistHistory) sendToExtension({ type: "fs:history-save", entries: inspectionHistory });
+  };
+
+  const loadHistory = async () => {
+    if (!settings.persistHistory) return;
+    const entries = await sendToExtension({ type: "fs:history-load" });
+    if (Array.isArray(entries)) inspectionHistory = entries;
+  };
+
+  const recordHistory = (data) => {
+    inspectionHistory = [historyEntry(data), ...inspectionHistory.filter(h => h.id !== data.id)]
+      .slice(0, MAX_HISTORY);
+    saveHistory();
+  };
+
+  const revisitHistory = (entry) => {
+    sendToFrame(entry.frameId, { type: "fs:highlight-inspection", id: entry.id, selector: entry.selector, url: entry.url });
+  };
+
+  const renderHistory = () => {
+    if (!rowsEl) return;
+    const sec = rowsEl.history;
+    sec.replaceChildren();
+    sec.style.display = inspectionHistory.length > 1 ? "" : "none";
+
+    const head = document.createElement("div");
+    head.className = "history-head";
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "history-toggle";
+    toggle.textContent = `${historyOpen ? "▾" : "▸"} History (${inspectionHistory.length})`;
+    toggle.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      historyOpen = !historyOpen;
+      renderHistory();
+    });
+    head.appendChild(toggle);
+    sec.appendChild(head);
+    if (!historyOpen) return;
+
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button";
+    clearBtn.className = "copy-btn";
+    clearBtn.textContent = "Clear";
+    clearBtn.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      // The inspection on screen stays as the newest entry
+      inspectionHistory = inspectionHistory.filter(h => h.id === currentInspectionId);
+      saveHistory();
+      renderHistory();
+    });
+    head.appendChild(clearBtn);
+
+    const list = document.createElement("div");
+    list.className = "history-list";
+    for (const entry of inspectionHistory) {
+      const item = document.createElement("div");
+      item.className = "history-item";
+      item.title = `${entry.selector} · click to show on page`;
+      const swatch = document.createElement("div");
+      swatch.className = "mini-swatch";
+      swatch.style.backgroundColor = entry.colorHex;
+      const text = document.createElement("div");
+      text.className = "history-text";
+      const font = document.createElement("span");
+      font.className = "history-font";
+      font.textContent = `${entry.family} ${normalizeWeightNumber(entry.weight)} · ${entry.size}/${entry.lineHeight}`;
+      const snippet = document.createElement("span");
+      snippet.className = "history-snippet";
+      snippet.textContent = entry.snippet || entry.selector;
+      text.append(font, snippet);
+      item.append(swatch, text);
+      item.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        revisitHistory(entry);
+      });
+      list.appendChild(item);
+    }
+    sec.appendChild(list);
+  };
+
+  // ========== WHY THIS FONT ==========
+  // Collapsible trace of the detection pipeline (stages in lib/detection.js)
+  const renderWhy = (data) => {
+    const sec = rowsEl.why;
+    sec.replaceChildren();
+    const { trace } = data;
+    sec.style.display = trace ? "" : "none";
+    if (!trace) return;
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "history-toggle";
+    toggle.textContent = `${whyOpen ? "▾" : "▸"} Why this font?`;
+    toggle.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      whyOpen = !whyOpen;
+      renderWhy(data);
+    });
+    sec.appendChild(toggle);
+    if (!whyOpen) return;
+
+    const line = (label, value, className = "") => {
+      const row = document.createElement("div");
+      row.className = `why-line ${className}`;
+      const k = document.createElement("span");
+      k.className = "why-key";
+      k.textContent = label;
+      const v = document.createElement("span");
+      v.textContent = value;
+      row.append(k, v);
+      sec.appendChild(row);
+    };
+    line("Decided by", trace.decidedBy ? trace.decidedBy.label : "No stage found an available family");
+    line("Declared", data.declaredFamily || "—", "mono");
+    if (trace.note) line("Adjusted", trace.note, "warn");
+
+    const list = document.createElement("div");
+    list.className = "why-steps";
+    for (const step of trace.steps) {
+      const row = document.createElement("div");
+      row.className = `why-step ${step.outcome}`;
+      const mark = document.createElement("span");
+      mark.className = "why-mark";
+      mark.textContent = step.outcome === "chosen" ? "✓" : "✕";
+      const family = document.createElement("span");
+      family.className = "why-family";
+      family.textContent = step.family;
+      const detail = document.createElement("span");
+      detail.className = "why-detail";
+      detail.textContent = [step.stage, step.reason || step.evidence].join(" · ");
+      detail.title = step.evidence;
+      row.append(mark, family, detail);
+      list.appendChild(row);
+    }
+    sec.appendChild(list);
+  };
+
+  // ========== LIVE EDIT ==========
+  // Preview styles are inline !important declarations; the values they
+  // replaced are kept per inspection so Reset (and Exit) can put them back.
+  // Edits stack in the order they were applied: an inspection's saved value
+  // is whatever the element had before it, possibly another inspection's edit.
+  const liveEditOriginals = new Map(); // inspection id -> Map(element -> { prop: [value, priority] })
+
+  const revertLiveEdit = (id) => {
+    const edits = liveEditOriginals.get(id);
+    if (!edits) return;
+    const ids = [...liveEditOriginals.keys()];
+    const later = ids.slice(ids.indexOf(id) + 1).map(k => liveEditOriginals.get(k));
+    liveEditOriginals.delete(id);
+    for (const [el, saved] of edits) {
+      for (const [prop, original] of Object.entries(saved)) {
+        // A later edit sits on top: hand it our original instead of touching the element
+        const above = later.find(m => m.get(el)?.[prop]);
+        if (above) above.get(el)[prop] = original;
+        else el.style.setProperty(prop, original[0], original[1]);
+      }
+    }
+  };
+
+  // Newest first, so each element ends up with what it had before any edit
+  const revertAllLiveEdits = () => {
+    for (const id of [...liveEditOriginals.keys()].reverse()) revertLiveEdit(id);
+  };
+
+  // Runs in the frame that owns the element
+  const applyLiveEdit = ({ id, selector, scope, styles }) => {
+    revertLiveEdit(id);
+    let targets = [];
+    if (scope === "selector") {
+      try { targets = Array.from(document.querySelectorAll(selector)); } catch { }
+    } else {
+      const el = inspectedElements.get(id)?.deref();
+      if (el?.isConnected) targets = [el];
+    }
+    if (!targets.length || !Object.keys(styles).length) return;
+    const edits = new Map();
+    for (const el of targets) {
+      const saved = {};
+      for (const [prop, value] of Object.entries(styles)) {
+        saved[prop] = [el.style.getPropertyValue(prop), el.style.getPropertyPriority(prop)];
+        el.style.setProperty(prop, value, "important");
+      }
+      edits.set(el, saved);
+    }
+    liveEditOriginals.set(id, edits);
+  };
+
+  // Top frame: edits for the inspection in the popup. Each inspection keeps its
+  // own, so going back through history shows (and can reset) earlier edits.
+  let liveEdit = null; // { id, frameId, selector, scope, changes: { prop: value } }
+  const liveEdits = new Map(); // inspection id -> liveEdit
+
+  const pushLiveEdit = () => {
+    const { id, frameId, selector, scope, changes } = liveEdit;
+    sendToFrame(frameId, { type: "fs:live-edit", id, selector, scope, styles: changes });
+  };
+
+  const liveEditCss = () =>
+    `${liveEdit.selector} {\n${Object.entries(liveEdit.changes).map(([p, v]) => `  ${p}: ${v};`).join("\n")}\n}`;
 
+  // ========== PRECISE MODE ==========
+  const paintPreciseBtn = () => {
+    if (!preciseBtn) return;
+    preciseBtn.style.background = preciseMode ? "rgba(74,222,128,0.25)" : "rgba(255,255,255,0.1)";
+    preciseBtn.style.color = preciseMode ? "#4ade80" : "rgba(255,255,255,0.7)";
+  };
+
+  const setPreciseMode = (enabled) => {
+    preciseMode = !!enabled;
+    paintPreciseBtn();
+  };
+
+  // The service worker finds the node through a temporary marker attribute
+  const lookupPlatformFonts = async (el) => {
+    const token = Math.random().toString(36).slice(2);
+    el.setAttribute("data-fs-node", token);
+    try {
+      return await sendToExtension({ type: "fs:platform-fonts", selector: `[data-fs-node="${token}"]` });
+    } finally {
+      el.removeAttribute("data-fs-node");
+    }
+  };
+
+  // A child frame's inspection reaches the top frame only after its offset
+  // round trip, so a service-worker reply for it can arrive first. Such replies
+  // wait here until showInspection renders that inspection (Precise mode's
+  // rendered fonts, and the feature tags read from the font file).
+  const earlyReplies = new Map(); // inspection id -> [message]
+
+  const applyInspectionReply = (message) => {
+    if (message.id !== currentInspectionId) {
+      earlyReplies.set(message.id, [...(earlyReplies.get(message.id) || []), message]);
+      // Replies for inspections that were never shown don't pile up
+      if (earlyReplies.size > 10) earlyReplies.delete(earlyReplies.keys().next().value);
+      return;
+    }
+    if (message.type === "fs:platform-fonts") showPlatformFonts(message.id, message.fonts);
+    else if (message.type === "fs:font-features") showFontFeatures(message.id, message.result);
+  };
+
+  const showPlatformFonts = (id, fonts) => {
+    if (!rowsEl || id !== currentInspectionId) return;
+    rowsEl.rendered.replaceChildren();
+    const label = document.createElement("label");
+    label.textContent = "Rendered";
+    rowsEl.rendered.appendChild(label);
+
+    if (!fonts || fonts.length === 0) {
+      const none = document.createElement("span");
+      none.className = "rendered-font";
+      none.textContent = "Unavailable for this element";
+      rowsEl.rendered.appendChild(none);
+      return;
+    }
+    for (const f of [...fonts].sort((a, b) => b.glyphCount - a.glyphCount)) {
+      const item = document.createElement("span");
+      item.className = "rendered-font";
+      item.textContent = `${f.family} · ${f.glyphCount} glyph${f.glyphCount === 1 ? "" : "s"}`;
+      item.title = `${f.postScriptName || f.family}${f.isCustomFont ? " (web font)" : " (installed)"}`;
+      rowsEl.rendered.appendChild(item);
+    }
+  };
+
+  // Feature tags read from the font binary; flags active features the file lacks
+  const showFontFeatures = (id, result) => {
+    if (!rowsEl || id !== currentInspectionId) return;
+    const row = rowsEl.opentype.querySelector(".ot-supported");
+    if (!row) return;
+    row.replaceChildren();
+
+    if (!result || result.error) {
+      const note = document.createElement("span");
+      note.className = "ot-note";
+      note.textContent = `Couldn't read the font file${result?.error ? ` (${result.error})` : ""}`;
+      row.appendChild(note);
+      return;
+    }
+    const supported = new Set(result.tags);
+    const active = new Set(lastInspection.opentype.features.filter(f => f.on).map(f => f.tag));
+    for (const tag of result.tags) {
+      const chip = document.createElement("span");
+      chip.className = active.has(tag) ? "face-chip on" : "face-chip";
+      chip.textContent = tag;
+      row.appendChild(chip);
+    }
+    if (!result.tags.length) {
+      const note = document.createElement("span");
+      note.className = "ot-note";
+      note.textContent = "No GSUB/GPOS features";
+      row.appendChild(note);
+    }
+    for (const chip of rowsEl.opentype.querySelectorAll(".ot-active .face-chip.on")) {
+      if (supported.has(chip.dataset.tag)) continue;
+      chip.classList.add("missing");
+      chip.title += " · not in the font file, has no effect";
+    }
+  };
+
+  const onMessage = (e) => {
+    const msg = e.data;
+    if (!msg || typeof msg !== "object") return;
+
+    if (e.source === window && msg.source === BRIDGE_SOURCE) {
+      if (msg.id) {
+        pendingReplies.get(msg.id)?.(msg.reply);
+        pendingReplies.delete(msg.id);
+      } else if (msg.message) {
+        handleExtensionMessage(msg.message);
+      }
+      return;
+    }
+
+    if (msg.source === FRAME_SOURCE) {
+      if (msg.type === "offset-request" && e.source !== window) answerOffsetRequest(e);
+      else if (msg.type === "offset-reply" && e.source === window.parent) {
+        offsetWaiters.get(msg.id)?.({ x: msg.x, y: msg.y });
+        offsetWaiters.delete(msg.id);
+      }
+    }
+  };
+
+  // ========== INSPECT ELEMENT (core detection + popup display) ==========
+  // Detection runs in the frame that owns the element and produces a plain,
+  // serializable result; rendering happens in the top frame only.
+  const collectInspection = (rawEl, x, y) => {
+    fontFaceRulesScope = {};
+    try {
+      return readInspection(rawEl, x, y);
+    } finally {
+      fontFaceRulesScope = null;
+    }
+  };
+
+  const readInspection = (rawEl, x, y) => {
     // Find the best text element using multi-strategy detection
     let el = findTextElement(rawEl, x, y);
     let cs;
@@ -2118,7 +4262,8 @@
       detectionFailed = true;
     }
 
-    const familyResolved = resolveFamily(el);
+    const resolution = resolveFamily(el);
+    const familyResolved = resolution.family;
 
     // Check if font resolution gave us a generic/fallback result
     const isGenericResult = !familyResolved ||
@@ -2130,29 +4275,91 @@
     // Check for blocked site on first interaction
     const isBlocked = detectBlockedSite();
 
-    const weightText = formatWeight(cs.fontWeight || "-");
-    const size = cs.fontSize || "-";
-    const letterSpacing = cs.letterSpacing || "-";
-    const lineHeight = cs.lineHeight || "-";
     const color = cs.color || "rgb(0,0,0)";
-    const colorHex = colorToHex(color);
+    const faces = matchFontFaces(familyResolved, cs.fontWeight, cs.fontStyle);
+
+    return {
+      el,
+      data: {
+        family: familyResolved,
+        confidence: detectionFailed
+          ? { level: "low", score: 0, signals: [{ label: "No text element found at the click point", value: 0 }] }
+          : scoreConfidence(cs, resolution, !usedForcedMode),
+        detectionFailed, isGenericResult, isBlocked,
+        weight: cs.fontWeight || "-",
+        style: cs.fontStyle || "normal",
+        size: cs.fontSize || "-",
+        lineHeight: cs.lineHeight || "-",
+        letterSpacing: cs.letterSpacing || "-",
+        decoration: cs.textDecorationLine !== "none" ? cs.textDecorationLine : "None",
+        declaredFamily: cs.fontFamily || "",
+        trace: {
+          decidedBy: resolution.decidedBy,
+          steps: resolution.steps,
+          note: resolution.note
+        },
+        textTransform: cs.textTransform || "none",
+        selector: cssSelectorFor(el),
+        snippet: (el.innerText || el.textContent || "").replace(/\s+/g, " ").trim().slice(0, 80),
+        url: location.href,
+        faces,
+        variation: describeVariation(cs, faces),
+        opentype: describeOpenType(cs, faces),
+        runs: detectionFailed ? [] : describeGlyphRuns(el, cs, familyResolved),
+        contrast: describeContrast(el, cs),
+        color,
+        colorHex: colorToHex(color)
+      }
+    };
+  };
+
+  // Search providers arrive resolved from settings.js (the custom template
+  // filled in); settings.searchProvider is the one the search button uses.
+  const searchUrlFor = (provider, family) => provider.url
+    .replace(/\{query\}/g, encodeURIComponent(family + " font"))
+    .replace(/\{family\}/g, encodeURIComponent(family));
+  const defaultSearchProvider = () =>
+    settings.searchProviders.find(p => p.id === settings.searchProvider) || settings.searchProviders[0];
+
+  const showInspection = (data, x, y) => {
+    // Close any existing all-fonts popup
+    closeAllFontsPopup();
+
+    const familyResolved = data.family;
+    const weightText = formatWeight(data.weight);
+    const color = data.color;
+    const colorHex = data.colorHex;
 
     ensurePopup();
 
-    // 1. Update Header (Font Name + FORCED badge if applicable)
+    // 1. Update Header (Font Name + confidence badge)
     rowsEl.name.textContent = familyResolved;
-    const existingBadge = rowsEl.name.querySelector(".mode-badge");
-    if (existingBadge) existingBadge.remove();
-    if (usedForcedMode) {
-      const badge = document.createElement("span");
-      badge.className = "mode-badge";
-      badge.textContent = "FORCED";
-      badge.title = "Detected using fallback strategy (Shadow DOM pierce or caret detection)";
-      rowsEl.name.appendChild(badge);
-    }
+    const { level, score, signals } = data.confidence;
+    const badge = document.createElement("span");
+    badge.className = `confidence-badge ${level}`;
+    badge.textContent = level;
+    badge.title = [`Confidence ${score}%`,
+      ...signals.map(sg => `${sg.value === 1 ? "✓" : sg.value > 0 ? "~" : "✕"} ${sg.label}`)].join("\n");
+    rowsEl.name.appendChild(badge);
     rowsEl.name.style.fontFamily = `"${familyResolved}", system-ui, sans-serif`;
 
-    // 2. Update Actions (Search Button)
+    // Precise mode: placeholder until the service worker answers
+    currentInspectionId = data.id;
+    lastInspection = data;
+    renderCompare(data);
+    paintPin();
+    rowsEl.rendered.replaceChildren();
+    rowsEl.rendered.style.display = data.precise ? "" : "none";
+    if (data.precise) {
+      const label = document.createElement("label");
+      label.textContent = "Rendered";
+      const pending = document.createElement("span");
+      pending.className = "rendered-font";
+      pending.textContent = "Checking…";
+      rowsEl.rendered.append(label, pending);
+    }
+
+    // 2. Update Actions (Search Button + provider menu)
     let searchBtn = rowsEl.actions.querySelector("#fs-search-btn");
     if (!searchBtn) {
       searchBtn = document.createElement("button");
@@ -2182,28 +4389,103 @@
       svg.appendChild(line);
       searchBtn.appendChild(svg);
       rowsEl.actions.insertBefore(searchBtn, rowsEl.actions.firstChild);
+
+      const moreBtn = document.createElement("button");
+      moreBtn.className = "iconbtn search-more";
+      moreBtn.id = "fs-search-more";
+      moreBtn.setAttribute("aria-label", "Search with another provider");
+      moreBtn.title = "Search with another provider";
+      const chevron = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+      chevron.setAttribute("viewBox", "0 0 24 24");
+      chevron.setAttribute("fill", "none");
+      chevron.setAttribute("stroke", "currentColor");
+      chevron.setAttribute("stroke-width", "2.5");
+      chevron.setAttribute("stroke-linecap", "round");
+      chevron.setAttribute("stroke-linejoin", "round");
+      const chevronPath = document.createElementNS("http://www.w3.org/2000/svg", "path");
+      chevronPath.setAttribute("d", "M6 9l6 6 6-6");
+      chevron.appendChild(chevronPath);
+      moreBtn.appendChild(chevron);
+      searchBtn.after(moreBtn);
     }
 
     // Clone to remove old listeners
     const newSearchBtn = searchBtn.cloneNode(true);
     searchBtn.replaceWith(newSearchBtn);
     searchBtn = newSearchBtn;
+    let moreBtn = rowsEl.actions.querySelector("#fs-search-more");
+    const newMoreBtn = moreBtn.cloneNode(true);
+    moreBtn.replaceWith(newMoreBtn);
+    moreBtn = newMoreBtn;
+
+    const openSearch = (provider) => window.open(searchUrlFor(provider, familyResolved), "_blank", "noopener");
+    const searchMenu = rowsEl.searchMenu;
+    // The menu is placed in viewport coordinates, so a press anywhere but the
+    // menu (or its button) and any scroll close it rather than leave it behind
+    const onPressOutside = (ev) => {
+      const path = ev.composedPath();
+      if (!path.includes(searchMenu) && !path.includes(moreBtn)) closeSearchMenu();
+    };
+    const closeSearchMenu = () => {
+      searchMenu.hidden = true;
+      window.removeEventListener("pointerdown", onPressOutside, true);
+      window.removeEventListener("scroll", closeSearchMenu, true);
+    };
+    rowsEl.closeSearchMenu?.(); // still listening if it was open for the last inspection
+    rowsEl.closeSearchMenu = closeSearchMenu;
+    closeSearchMenu();
 
     let tip = null;
-    searchBtn.addEventListener("mouseenter", ev => { if (!tip) tip = makeTooltip("Search this font", ev); });
+    searchBtn.addEventListener("mouseenter", ev => { if (!tip) tip = makeTooltip(`Search on ${defaultSearchProvider().label}`, ev); });
     searchBtn.addEventListener("mousemove", ev => { tip?.update(ev.clientX, ev.clientY); });
     searchBtn.addEventListener("mouseleave", () => { tip?.remove(); tip = null; });
     searchBtn.addEventListener("click", (ev) => {
       ev.stopPropagation();
-      window.open(`https://www.bing.com/search?q=${encodeURIComponent(familyResolved + " font")}`, "_blank", "noopener");
+      closeSearchMenu();
+      openSearch(defaultSearchProvider());
+    });
+
+    // One-off lookup elsewhere; the default provider only changes in Options
+    searchMenu.replaceChildren();
+    for (const provider of settings.searchProviders) {
+      const item = document.createElement("button");
+      item.className = "search-item";
+      item.type = "button";
+      const label = document.createElement("span");
+      label.textContent = provider.label;
+      item.appendChild(label);
+      if (provider.id === defaultSearchProvider().id) {
+        const mark = document.createElement("span");
+        mark.className = "default";
+        mark.textContent = "Default";
+        item.appendChild(mark);
+      }
+      item.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        closeSearchMenu();
+        openSearch(provider);
+      });
+      searchMenu.appendChild(item);
+    }
+    moreBtn.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      if (!searchMenu.hidden) { closeSearchMenu(); return; }
+      const r = moreBtn.getBoundingClientRect();
+      searchMenu.style.top = (r.bottom + 6) + "px";
+      searchMenu.style.left = Math.max(8, r.right - 180) + "px";
+      searchMenu.hidden = false;
+      window.addEventListener("pointerdown", onPressOutside, true);
+      window.addEventListener("scroll", closeSearchMenu, true);
     });
 
     // 3. Update Grid Metrics
     rowsEl.grid.replaceChildren();
 
-    const addMetric = (label, value) => {
+    // prop: CSS property the cell can live-edit, starting from editValue
+    const addMetric = (label, value, prop = null, editValue = value) => {
       const cell = document.createElement("div");
       cell.className = "cell";
+      if (prop) Object.assign(cell.dataset, { prop, edit: editValue, display: value });
       const lbl = document.createElement("label");
       lbl.textContent = label;
       const val = document.createElement("div");
@@ -2214,90 +4496,416 @@
       rowsEl.grid.appendChild(cell);
     };
 
-    addMetric("Weight", weightText);
-    addMetric("Style", cs.fontStyle || "normal");
-    addMetric("Size", size);
-    addMetric("Line Height", lineHeight);
-    addMetric("Letter Spacing", letterSpacing);
-    addMetric("Decoration", cs.textDecorationLine !== "none" ? cs.textDecorationLine : "None");
+    addMetric("Weight", weightText, "font-weight", String(normalizeWeightNumber(data.weight)));
+    addMetric("Style", data.style);
+    addMetric("Size", data.size, "font-size");
+    addMetric("Line Height", data.lineHeight, "line-height");
+    addMetric("Letter Spacing", data.letterSpacing, "letter-spacing");
+    addMetric("Decoration", data.decoration);
+    addMetric("Stretch", data.variation.stretch);
+    addMetric("Optical Sizing", data.variation.opticalSizing);
+
+    // 3a. Detection trace ("Why this font?")
+    renderWhy(data);
+
+    // 3b. Update Font Face Section (the @font-face serving this weight/style)
+    rowsEl.faces.replaceChildren();
+    rowsEl.faces.style.display = data.faces?.length ? "" : "none";
+    if (data.faces?.length) {
+      const faceLabel = document.createElement("label");
+      faceLabel.textContent = data.faces.length > 1 ? `Font Face · ${data.faces.length} subsets` : "Font Face";
+      const kind = document.createElement("span");
+      kind.className = data.variation.isVariable ? "face-kind variable" : "face-kind";
+      kind.textContent = data.variation.isVariable ? "Variable" : "Static";
+      kind.title = data.variation.isVariable
+        ? "One variable font file covers a range of this axis"
+        : "Static instance: one file per weight/style";
+      faceLabel.appendChild(kind);
+      rowsEl.faces.append(faceLabel, renderFaceList(data.faces, 3));
+    }
+
+    // 3c. Variable axes (declared ranges + the element's own settings)
+    const v = data.variation;
+    if (v.isVariable || v.settings !== "normal") {
+      const axesLabel = document.createElement("label");
+      axesLabel.textContent = "Variable Axes";
+      const axesRow = document.createElement("div");
+      axesRow.className = "face-head";
+      for (const a of v.axes) {
+        const chip = document.createElement("span");
+        chip.className = "face-chip format";
+        chip.textContent = `${a.tag} ${a.min}–${a.max}${a.unit}`;
+        axesRow.appendChild(chip);
+      }
+      const settingsChip = document.createElement("span");
+      settingsChip.className = "face-chip";
+      settingsChip.textContent = `font-variation-settings: ${v.settings}`;
+      axesRow.appendChild(settingsChip);
+      rowsEl.faces.append(axesLabel, axesRow);
+      rowsEl.faces.style.display = "";
+    }
+
+    // 3d. OpenType features (supported list arrives later from the service worker)
+    const ot = data.opentype;
+    rowsEl.opentype.replaceChildren();
+    rowsEl.opentype.style.display = ot.features.length || ot.fontUrl ? "" : "none";
+    const otLabel = document.createElement("label");
+    otLabel.textContent = "OpenType";
+    const activeRow = document.createElement("div");
+    activeRow.className = "face-head ot-active";
+    for (const f of ot.features) {
+      const chip = document.createElement("span");
+      chip.className = `face-chip ${f.on ? "on" : "off"}`;
+      chip.dataset.tag = f.tag;
+      chip.textContent = f.tag;
+      chip.title = f.source;
+      activeRow.appendChild(chip);
+    }
+    if (!ot.features.length) {
+      const note = document.createElement("span");
+      note.className = "ot-note";
+      note.textContent = "Font defaults (no features set)";
+      activeRow.appendChild(note);
+    }
+    rowsEl.opentype.append(otLabel, activeRow);
+    if (ot.fontUrl) {
+      const supLabel = document.createElement("label");
+      supLabel.textContent = "Supported by the font";
+      const supRow = document.createElement("div");
+      supRow.className = "face-head ot-supported";
+      const pending = document.createElement("span");
+      pending.className = "ot-note";
+      pending.textContent = "Reading font file…";
+      supRow.appendChild(pending);
+      rowsEl.opentype.append(supLabel, supRow);
+    }
+
+    // 3e. Glyph runs: which font draws each stretch of the text
+    const runs = data.runs;
+    const fallbackRuns = runs.filter(r => r.fallback);
+    rowsEl.runs.replaceChildren();
+    const showRuns = fallbackRuns.length > 0 || new Set(runs.map(r => r.script)).size > 1;
+    rowsEl.runs.style.display = showRuns ? "" : "none";
+    if (showRuns) {
+      const runsLabel = document.createElement("label");
+      runsLabel.textContent = fallbackRuns.length
+        ? `Glyph Runs · ${fallbackRuns.length} fallback`
+        : "Glyph Runs";
+      const preview = document.createElement("div");
+      preview.className = "run-text";
+      preview.style.fontFamily = data.declaredFamily;
+      for (const r of runs) {
+        if (!r.fallback) { preview.append(r.text); continue; }
+        const mark = document.createElement("mark");
+        mark.textContent = r.text;
+        mark.title = `${r.script} · ${r.family}`;
+        preview.appendChild(mark);
+      }
+      // One chip per script/font pair
+      const chips = document.createElement("div");
+      chips.className = "face-head";
+      const seenPairs = new Set();
+      for (const r of runs) {
+        const pair = `${r.script} → ${r.family}`;
+        if (seenPairs.has(pair)) continue;
+        seenPairs.add(pair);
+        const chip = document.createElement("span");
+        chip.className = r.fallback ? "face-chip fallback" : "face-chip";
+        chip.textContent = pair;
+        chips.appendChild(chip);
+      }
+      rowsEl.runs.append(runsLabel, preview, chips);
+    }
 
     // 4. Update Color Section
     rowsEl.color.replaceChildren();
 
+    const rgb = parseHexToRgb(colorHex) || [0, 0, 0];
+    const rgbStr = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+    const hsl = rgbToHsl(rgb[0], rgb[1], rgb[2]);
+    const hslStr = `hsl(${hsl[0]}, ${hsl[1]}%, ${hsl[2]}%)`;
+
+    const cmyk = rgbToCmyk(rgb[0], rgb[1], rgb[2]);
+    const cmykStr = `cmyk(${cmyk.map(v => `${v}%`).join(", ")})`;
+
+    const colorStrings = { hex: colorHex, rgb: rgbStr, hsl: hslStr, cmyk: cmykStr };
+
+    const copyText = async (label, textToCopy, ev) => {
+      try {
+        if (navigator.clipboard) {
+          await navigator.clipboard.writeText(textToCopy);
+          toast(`Copied ${label}`, ev.clientX, ev.clientY);
+        } else {
+          toast("Failed", ev.clientX, ev.clientY);
+        }
+      } catch {
+        toast("Failed", ev.clientX, ev.clientY);
+      }
+    };
+
+    // Swatch + value show the default format (settings.copyFormat); click copies it
     const identity = document.createElement("div");
     identity.className = "color-identity";
+    identity.title = "Click to copy";
 
     const miniSwatch = document.createElement("div");
     miniSwatch.className = "mini-swatch";
     miniSwatch.style.backgroundColor = color;
 
-    const hexValue = document.createElement("span");
-    hexValue.className = "color-value";
-    hexValue.textContent = colorHex;
+    const colorValue = document.createElement("span");
+    colorValue.className = "color-value";
+    colorValue.textContent = colorStrings[settings.copyFormat] || colorHex;
 
     identity.appendChild(miniSwatch);
-    identity.appendChild(hexValue);
+    identity.appendChild(colorValue);
+    identity.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      copyText(settings.copyFormat.toUpperCase(), colorValue.textContent, ev);
+    });
 
     const actions = document.createElement("div");
     actions.className = "copy-actions";
 
-    const createCopyBtn = (label, textToCopy) => {
+    const createCopyBtn = (label, textToCopy, copiedLabel = label) => {
       const btn = document.createElement("button");
       btn.className = "copy-btn";
       btn.textContent = label;
-      btn.addEventListener("click", async (ev) => {
+      btn.addEventListener("click", (ev) => {
         ev.stopPropagation();
-        try {
-          if (navigator.clipboard) {
-            await navigator.clipboard.writeText(textToCopy);
-            toast(`Copied ${label}`, ev.clientX, ev.clientY);
-          } else {
-            toast("Failed", ev.clientX, ev.clientY);
-          }
-        } catch {
-          toast("Failed", ev.clientX, ev.clientY);
-        }
+        copyText(copiedLabel, textToCopy, ev);
       });
       return btn;
     };
 
-    const rgb = parseHexToRgb(colorHex) || [0, 0, 0];
-    const rgbStr = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
-    const hsl = rgbToHsl(rgb[0], rgb[1], rgb[2]);
-    const hslStr = `hsl(${hsl[0]}, ${hsl[1]}%, ${hsl[2]}%)`;
-
-    const cr = rgb[0] / 255, cg = rgb[1] / 255, cb = rgb[2] / 255;
-    const ck = 1 - Math.max(cr, cg, cb);
-    const cc = (1 - cr - ck) / (1 - ck) || 0;
-    const cm = (1 - cg - ck) / (1 - ck) || 0;
-    const cy = (1 - cb - ck) / (1 - ck) || 0;
-    const cmykStr = `cmyk(${Math.round(cc * 100)}%, ${Math.round(cm * 100)}%, ${Math.round(cy * 100)}%, ${Math.round(ck * 100)}%)`;
-
-    actions.appendChild(createCopyBtn("HEX", colorHex));
-    actions.appendChild(createCopyBtn("RGB", rgbStr));
-    actions.appendChild(createCopyBtn("HSL", hslStr));
-    actions.appendChild(createCopyBtn("CMYK", cmykStr));
+    for (const format of settings.colorFormats) {
+      actions.appendChild(createCopyBtn(format.toUpperCase(), colorStrings[format]));
+    }
 
     rowsEl.color.appendChild(identity);
     rowsEl.color.appendChild(actions);
 
+    // 4b. Contrast against the effective background
+    const c = data.contrast;
+    rowsEl.contrast.replaceChildren();
+    const contrastId = document.createElement("div");
+    contrastId.className = "color-identity";
+    contrastId.title = `Text ${c.text} on ${c.background} · click to copy the background`;
+    const sample = document.createElement("div");
+    sample.className = "contrast-sample";
+    sample.style.color = c.text;
+    sample.style.background = c.background;
+    sample.textContent = "Aa";
+    const ratioBox = document.createElement("div");
+    ratioBox.className = "contrast-ratio";
+    const ratioValue = document.createElement("span");
+    ratioValue.className = "color-value";
+    ratioValue.textContent = `${c.ratio.toFixed(2)}:1 · Lc ${c.apca}`;
+    const ratioNote = document.createElement("span");
+    ratioNote.className = "note";
+    ratioNote.textContent = `${c.large ? "Large" : "Normal"} text · APCA: ${c.apcaLevel}` +
+      (c.hasImage ? " · background image ignored" : "");
+    ratioBox.append(ratioValue, ratioNote);
+    contrastId.append(sample, ratioBox);
+    contrastId.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      copyText("background", c.background, ev);
+    });
+
+    const grades = document.createElement("div");
+    grades.className = "copy-actions";
+    for (const [label, pass, need] of [["AA", c.aa, c.large ? 3 : 4.5], ["AAA", c.aaa, c.large ? 4.5 : 7]]) {
+      const grade = document.createElement("span");
+      grade.className = pass ? "grade pass" : "grade";
+      grade.textContent = `${label} ${pass ? "✓" : "✗"}`;
+      grade.title = `WCAG ${label} needs ${need}:1 for ${c.large ? "large" : "normal"} text`;
+      grades.appendChild(grade);
+    }
+    rowsEl.contrast.append(contrastId, grades);
+
+    // 5. Update CSS Rule Section
+    rowsEl.css.replaceChildren();
+    const cssLabel = document.createElement("span");
+    cssLabel.className = "css-label";
+    cssLabel.textContent = "CSS Rule";
+    const cssActions = document.createElement("div");
+    cssActions.className = "copy-actions";
+    const declaredBtn = createCopyBtn("Copy CSS", buildCssRule(data), "CSS");
+    declaredBtn.title = "font-family stack as declared";
+    const resolvedBtn = createCopyBtn("Resolved", buildCssRule(data, { resolved: true }), "CSS");
+    resolvedBtn.title = `Only ${data.family} and the generic fallback`;
+    const editBtn = document.createElement("button");
+    editBtn.className = "copy-btn";
+    editBtn.textContent = "Edit";
+    editBtn.title = "Try changes on the page";
+    cssActions.append(declaredBtn, resolvedBtn, editBtn);
+    rowsEl.css.append(cssLabel, cssActions);
+
+    // 5b. Live edit: grid cells and the colour swatch become inputs
+    if (liveEdit?.id !== data.id) {
+      liveEdit = liveEdits.get(data.id) ||
+        { id: data.id, frameId: data.frameId, selector: data.selector, scope: "element", changes: {} };
+      liveEdits.set(data.id, liveEdit);
+    }
+    const colorInput = document.createElement("input");
+    colorInput.type = "color";
+    colorInput.className = "color-edit";
+    colorInput.hidden = true;
+    colorInput.addEventListener("click", (ev) => ev.stopPropagation());
+    identity.insertBefore(colorInput, miniSwatch);
+
+    const editLabel = document.createElement("label");
+    const scopeSelect = document.createElement("select");
+    scopeSelect.className = "edit-scope";
+    scopeSelect.append(new Option("This element", "element"), new Option(`All ${data.selector}`, "selector"));
+    scopeSelect.value = liveEdit.scope;
+    scopeSelect.addEventListener("change", () => {
+      liveEdit.scope = scopeSelect.value;
+      pushLiveEdit();
+    });
+    const resetBtn = document.createElement("button");
+    resetBtn.className = "copy-btn";
+    resetBtn.textContent = "Reset";
+    const copyChangesBtn = document.createElement("button");
+    copyChangesBtn.className = "copy-btn";
+    copyChangesBtn.textContent = "Copy changes";
+    copyChangesBtn.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      copyText("changed CSS", liveEditCss(), ev);
+    });
+    const editRow = document.createElement("div");
+    editRow.className = "copy-actions";
+    editRow.append(scopeSelect, resetBtn, copyChangesBtn);
+    rowsEl.edit.replaceChildren(editLabel, editRow);
+
+    const paintEditSummary = () => {
+      const n = Object.keys(liveEdit.changes).length;
+      editLabel.textContent = n ? `Live Edit · ${n} change${n === 1 ? "" : "s"}` : "Live Edit";
+      copyChangesBtn.disabled = n === 0;
+    };
+
+    const commitEdit = (prop, original, value) => {
+      value = value.trim();
+      if (!value || value === original) delete liveEdit.changes[prop];
+      else if (!CSS.supports(prop, value)) return false;
+      else liveEdit.changes[prop] = value;
+      pushLiveEdit();
+      paintEditSummary();
+      return true;
+    };
+
+    const originalColor = colorHex.slice(0, 7);
+    colorInput.addEventListener("input", () => commitEdit("color", originalColor, colorInput.value));
+
+    const setEditing = (editing) => {
+      editBtn.textContent = editing ? "Done" : "Edit";
+      rowsEl.edit.style.display = editing ? "" : "none";
+      for (const cell of rowsEl.grid.querySelectorAll(".cell[data-prop]")) {
+        const { prop, edit: original, display } = cell.dataset;
+        const current = liveEdit.changes[prop];
+        let next;
+        if (editing) {
+          next = document.createElement("input");
+          next.className = "value edit-input";
+          next.spellcheck = false;
+          next.value = current ?? original;
+          next.addEventListener("click", (ev) => ev.stopPropagation());
+          next.addEventListener("keydown", (ev) => { if (ev.key === "Enter") next.blur(); });
+          next.addEventListener("change", () => {
+            next.classList.toggle("invalid", !commitEdit(prop, original, next.value));
+          });
+        } else {
+          next = document.createElement("div");
+          next.className = current ? "value edited" : "value";
+          next.textContent = current ?? display;
+        }
+        cell.querySelector(".value").replaceWith(next);
+      }
+      colorInput.value = liveEdit.changes.color ?? originalColor;
+      colorInput.hidden = !editing;
+      miniSwatch.style.display = editing ? "none" : "";
+      miniSwatch.style.backgroundColor = liveEdit.changes.color ?? color;
+      paintEditSummary();
+    };
+
+    let editing = false;
+    editBtn.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      editing = !editing;
+      setEditing(editing);
+    });
+    resetBtn.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      liveEdit.changes = {};
+      pushLiveEdit();
+      setEditing(editing);
+    });
+    setEditing(false);
+
+    // 6. History
+    renderHistory();
+
     lastClick = { x, y };
     positionPopup(x, y);
+
+    const early = earlyReplies.get(data.id) || [];
+    earlyReplies.delete(data.id);
+    early.forEach(applyInspectionReply);
+  };
+
+  const inspectElement = (rawEl, x, y) => {
+    if (!window.__FS_ACTIVE__) return;
+
+    const { el, data } = collectInspection(rawEl, x, y);
+    data.id = Math.random().toString(36).slice(2);
+    trackInspected(data.id, el);
+    data.precise = preciseMode;
     if (el && el !== document.body) showHighlight(el);
+
+    // Child frames hand results to the top frame, in top-level viewport coordinates
+    const deliver = (payload) => {
+      if (isTopFrame) handleExtensionMessage(payload);
+      else sendToExtension({ type: "fs:to-top", payload });
+    };
+
+    getFrameOffset().then((off) => {
+      deliver({ type: "fs:inspection", data, x: x + off.x, y: y + off.y });
+    });
+    if (preciseMode) {
+      lookupPlatformFonts(el).then((fonts) => deliver({ type: "fs:platform-fonts", id: data.id, fonts }));
+    }
+    if (data.opentype.fontUrl) {
+      sendToExtension({ type: "fs:font-features", url: data.opentype.fontUrl })
+        .then((result) => deliver({ type: "fs:font-features", id: data.id, result }));
+    }
   };
 
-  const onKey = (e) => { if (e.key === "Escape") stop(); };
+  // Context menu: inspect the element holding the start of the selection,
+  // with the popup placed next to the selection rect instead of a click point
+  const inspectSelection = () => {
+    const sel = window.getSelection();
+    if (!sel || sel.rangeCount === 0) return;
+    const range = sel.getRangeAt(0);
+    // An element container (a triple-click selection, say) points at its child by offset
+    const start = range.startContainer;
+    const node = start.nodeType === Node.ELEMENT_NODE ? start.childNodes[range.startOffset] ?? start : start;
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!el) return;
+    const rect = range.getBoundingClientRect();
+    inspectElement(el, rect.left, rect.bottom);
+  };
+
+  const onKey = (e) => { if (e.key === "Escape") stopAll(); };
 
   // ========== LIFECYCLE ==========
   const start = () => {
     document.documentElement.classList.add("fontseek-picking");
-    showExit();
+    if (isTopFrame) showExit();
 
     // 1. Force pointer-events and crosshair cursor globally during picking
     pointerEventsStyleEl = document.createElement("style");
     pointerEventsStyleEl.textContent = `
       * { cursor: crosshair !important; }
-      #fs-exit, #fs-exit *, #fs-highlight, #fs-hover-highlight { cursor: pointer !important; }
+      #fs-exit, #fs-exit *, #fs-font-matches, #fs-font-matches *, #fs-font-swap, #fs-font-swap *, #fs-font-scan, #fs-font-scan *, #fs-highlight, #fs-hover-highlight { cursor: pointer !important; }
       p, span, h1, h2, h3, h4, h5, h6, a, li, button, label, strong, em, b, i { pointer-events: auto !important; }
     `;
     document.documentElement.appendChild(pointerEventsStyleEl);
@@ -2320,6 +4928,13 @@
 
     windowClickHandler = (ev) => onWindowClick(ev);
     window.addEventListener("click", windowClickHandler, true);
+
+    messageHandler = (ev) => onMessage(ev);
+    window.addEventListener("message", messageHandler);
+
+    sendToExtension({ type: "fs:get-precise" }).then(setPreciseMode);
+    loadRemoteFontFaces();
+    if (isTopFrame) loadHistory();
   };
 
   var stop = () => {
@@ -2339,19 +4954,29 @@
     unpatchEvents();
 
     // 5. Remove UI elements
+    rowsEl?.closeSearchMenu?.(); // its listeners sit on window
     if (popupHost) popupHost.remove();
     popupHost = popupRoot = popupCard = rowsEl = null;
     if (allFontsHost) allFontsHost.remove();
     allFontsHost = null;
     document.getElementById("fs-exit")?.remove();
-    exitEl = null;
+    exitEl = exitStatusEl = null;
+    clearTimeout(flashTimer); flashTimer = flashOriginal = null;
+    preciseBtn = pinChip = null;
     highlightEl?.remove(); highlightEl = null;
+    cancelFontScan();
+    unwatchFonts();
+    clearFontMatches();
+    endFontSwap();
+    revertAllLiveEdits();
+    liveEdit = null; liveEdits.clear();
     document.documentElement.classList.remove("fontseek-picking");
 
     // 6. Remove window listeners
     window.removeEventListener("keydown", keyHandler, true);
     window.removeEventListener("mousemove", mouseMoveHandler, true);
     window.removeEventListener("click", windowClickHandler, true);
+    window.removeEventListener("message", messageHandler);
     window.__FS_ACTIVE__ = false; window.__FS_API__ = null;
   };
 
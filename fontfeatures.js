@@ -0,0 +1,148 @@
+/**
+ * FontSeek — OpenType Feature Reader
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * Fetches a font binary and lists the feature tags in its GSUB and GPOS
+ * tables. Handles TTF/OTF/TTC, WOFF (zlib) and WOFF2 (only where the
+ * browser's DecompressionStream supports brotli).
+ */
+
+const MAX_BYTES = 20 * 1024 * 1024;
+const cache = new Map(); // url -> Promise<result>
+
+const tagAt = (view, offset) =>
+  String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+
+const inflate = async (bytes, format) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// FeatureList tags of a GSUB/GPOS table
+const featureTags = (table) => {
+  if (!table || table.byteLength < 10) return [];
+  const view = new DataView(table.buffer, table.byteOffset, table.byteLength);
+  const featureListOffset = view.getUint16(6);
+  const count = view.getUint16(featureListOffset);
+  const tags = [];
+  for (let i = 0; i < count; i++) tags.push(tagAt(view, featureListOffset + 2 + i * 6));
+  return tags;
+};
+
+// ---- sfnt (TTF / OTF / first font of a TTC) ----
+const sfntTables = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let base = 0;
+  if (tagAt(view, 0) === "ttcf") base = view.getUint32(12);
+  const numTables = view.getUint16(base + 4);
+  const tables = {};
+  for (let i = 0; i < numTables; i++) {
+    const rec = base + 12 + i * 16;
+    const tag = tagAt(view, rec);
+    if (tag === "GSUB" || tag === "GPOS") {
+      const offset = view.getUint32(rec + 8), length = view.getUint32(rec + 12);
+      tables[tag] = bytes.subarray(offset, offset + length);
+    }
+  }
+  return tables;
+};
+
+// ---- WOFF 1.0 ----
+const woffTables = async (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const numTables = view.getUint16(12);
+  const tables = {};
+  for (let i = 0; i < numTables; i++) {
+    const rec = 44 + i * 20;
+    const tag = tagAt(view, rec);
+    if (tag !== "GSUB" && tag !== "GPOS") continue;
+    const offset = view.getUint32(rec + 4), compLength = view.getUint32(rec + 8), origLength = view.getUint32(rec + 12);
+    const data = bytes.subarray(offset, offset + compLength);
+    tables[tag] = compLength < origLength ? await inflate(data, "deflate") : data;
+  }
+  return tables;
+};
+
+// ---- WOFF 2.0 ----
+const WOFF2_KNOWN_TAGS = [
+  "cmap", "head", "hhea", "hmtx", "maxp", "name", "OS/2", "post", "cvt ", "fpgm", "glyf", "loca", "prep",
+  "CFF ", "VORG", "EBDT", "EBLC", "gasp", "hdmx", "kern", "LTSH", "PCLT", "VDMX", "vhea", "vmtx", "BASE",
+  "GDEF", "GPOS", "GSUB", "EBSC", "JSTF", "MATH", "CBDT", "CBLC", "COLR", "CPAL", "SVG ", "sbix", "acnt",
+  "avar", "bdat", "bloc", "bsln", "cvar", "fdsc", "feat", "fmtx", "fvar", "gvar", "hsty", "just", "lcar",
+  "mort", "morx", "opbd", "prop", "trak", "Zapf", "Silf", "Glat", "Gloc", "Feat", "Sill"
+];
+
+const woff2Tables = async (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const numTables = view.getUint16(12);
+  const totalCompressedSize = view.getUint32(20);
+  let p = 48;
+  const base128 = () => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      const b = view.getUint8(p++);
+      value = value * 128 + (b & 0x7f);
+      if (!(b & 0x80)) return value;
+    }
+    throw new Error("Bad UIntBase128");
+  };
+
+  const entries = [];
+  for (let i = 0; i < numTables; i++) {
+    const flags = view.getUint8(p++);
+    const tag = (flags & 0x3f) === 63 ? (p += 4, tagAt(view, p - 4)) : WOFF2_KNOWN_TAGS[flags & 0x3f];
+    const version = flags >> 6;
+    const origLength = base128();
+    // glyf/loca are transformed at version 0, every other table at versions 1-3
+    const transformed = (tag === "glyf" || tag === "loca") ? version === 0 : version !== 0;
+    const length = transformed ? base128() : origLength;
+    entries.push({ tag, length });
+  }
+  if (tagAt(view, 4) === "ttcf") throw new Error("WOFF2 collections are not supported");
+
+  let stream;
+  try {
+    stream = await inflate(bytes.subarray(p, p + totalCompressedSize), "brotli");
+  } catch {
+    throw new Error("This browser can't decompress WOFF2");
+  }
+  const tables = {};
+  let offset = 0;
+  for (const { tag, length } of entries) {
+    if (tag === "GSUB" || tag === "GPOS") tables[tag] = stream.subarray(offset, offset + length);
+    offset += length;
+  }
+  return tables;
+};
+
+const FORMATS = { wOFF: "woff", wOF2: "woff2", OTTO: "opentype", ttcf: "collection", true: "truetype", "\0\x01\0\0": "truetype" };
+
+/**
+ * Returns { format, tags: [...] } or { error }. Results are cached per URL.
+ */
+export const readFontFeatures = (url) => {
+  if (!cache.has(url)) {
+    cache.set(url, (async () => {
+      try {
+        if (!/^(https?|data):/i.test(url)) throw new Error("Unsupported URL");
+        const res = await fetch(url, { credentials: "omit", cache: "force-cache" });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const bytes = new Uint8Array(await res.arrayBuffer());
+        if (bytes.byteLength > MAX_BYTES) throw new Error("Font file too large");
+        if (bytes.byteLength < 48) throw new Error("Not a font file");
+
+        const signature = tagAt(new DataView(bytes.buffer), 0);
+        const format = FORMATS[signature];
+        if (!format) throw new Error("Unrecognized font format");
+        const tables = format === "woff" ? await woffTables(bytes)
+          : format === "woff2" ? await woff2Tables(bytes)
+            : sfntTables(bytes);
+        const tags = [...new Set([...featureTags(tables.GSUB), ...featureTags(tables.GPOS)])].sort();
+        return { format, tags };
+      } catch (e) {
+        return { error: e?.message || String(e) };
+      }
+    })());
+  }
+  return cache.get(url);
+};
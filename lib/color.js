@@ -0,0 +1,50 @@
+/**
+ * FontSeek — Colour Conversion
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * Pure conversions behind the popup's copy formats. Parsing arbitrary CSS
+ * colours needs a canvas and stays in content.js.
+ */
+
+((lib) => {
+  // "#rgb", "#rrggbb" or "#rrggbbaa" -> [r, g, b] (alpha dropped), else null
+  const parseHexToRgb = (hex) => {
+    hex = String(hex || "").trim();
+    if (!/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+    const v = hex.slice(1);
+    let r, g, b;
+    if (v.length === 3) { r = parseInt(v[0] + v[0], 16); g = parseInt(v[1] + v[1], 16); b = parseInt(v[2] + v[2], 16); }
+    else { r = parseInt(v.slice(0, 2), 16); g = parseInt(v.slice(2, 4), 16); b = parseInt(v.slice(4, 6), 16); }
+    return [r, g, b];
+  };
+
+  // -> [hue 0-360, saturation %, lightness %], rounded
+  const rgbToHsl = (r, g, b) => {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    let h = 0, s = 0; const l = (max + min) / 2;
+    if (max !== min) {
+      const d = max - min;
+      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+      switch (max) {
+        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+        case g: h = (b - r) / d + 2; break;
+        case b: h = (r - g) / d + 4; break;
+      }
+      h /= 6;
+    }
+    return [Math.round(h * 360), Math.round(s * 100), Math.round(l * 100)];
+  };
+
+  // Naive (uncalibrated) conversion -> [c, m, y, k] in rounded percent
+  const rgbToCmyk = (r, g, b) => {
+    const cr = r / 255, cg = g / 255, cb = b / 255;
+    const k = 1 - Math.max(cr, cg, cb);
+    const c = (1 - cr - k) / (1 - k) || 0;
+    const m = (1 - cg - k) / (1 - k) || 0;
+    const y = (1 - cb - k) / (1 - k) || 0;
+    return [c, m, y, k].map(v => Math.round(v * 100));
+  };
+
+  Object.assign(lib, { parseHexToRgb, rgbToHsl, rgbToCmyk });
+})(typeof window === "undefined" ? module.exports : (window.__FS_LIB__ = window.__FS_LIB__ || {}));
@@ -0,0 +1,334 @@
+/**
+ * FontSeek — Font Detection
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * Decides which family renders an element and how far to trust the answer.
+ * Everything that touches the page comes in through `env`, so the decisions
+ * can run against stubs in Node:
+ *
+ *   getComputedStyle(el)      -> { fontFamily, getPropertyValue(name) }
+ *   parentOf(node)            -> parent element, crossing shadow roots
+ *   describe(el)              -> short selector used in traces
+ *   body(), root()            -> document.body / document.documentElement
+ *   fonts                     -> document.fonts (check, forEach) or null
+ *   fontFaceFamilies()        -> families declared by @font-face rules
+ *   rendersDistinctly(family) -> canvas metrics differ from every generic
+ *   measuresLike(font, sys)   -> `font` falls back to system font `sys`
+ *   sameMetrics(a, b)         -> both families measure identically
+ *   userAgent                 -> navigator.userAgent
+ */
+
+((lib) => {
+  const { GENERIC_FAMILIES, ALIAS_FAMILIES, parseFamilies } =
+    typeof window === "undefined" ? require("./families.js") : lib;
+
+  const unquote = (name) => String(name).trim().replace(/^['"]|['"]$/g, "");
+
+  // Common CSS variable patterns for fonts
+  const FONT_VARIABLES = [
+    "--font-family", "--heading-font", "--body-font", "--primary-font",
+    "--font-sans", "--font-serif", "--font-mono", "--typography-font",
+    "--font-main", "--font-base", "--text-font", "--ff-primary"
+  ];
+
+  // Per platform: families assumed installed, candidates an alias can map to,
+  // and the fonts a missing family usually falls back to
+  const PLATFORMS = {
+    windows: {
+      installed: ["segoe ui", "segoe ui variable", "arial", "tahoma", "verdana", "times new roman", "courier new"],
+      candidates: ["Segoe UI Variable", "Segoe UI", "Arial", "Tahoma", "Verdana", "Times New Roman", "Courier New"],
+      system: ["Segoe UI Variable", "Segoe UI", "Arial", "Tahoma", "Verdana"],
+      ui: "Segoe UI"
+    },
+    mac: {
+      installed: ["sf pro", "sf pro text", "helvetica neue", "helvetica", "arial", "times new roman", "courier new"],
+      candidates: ["SF Pro Text", "SF Pro Display", "Helvetica Neue", "Helvetica", "Arial", "Times New Roman", "Courier New"],
+      system: ["SF Pro Text", "SF Pro Display", "Helvetica Neue", "Helvetica", "Arial"],
+      ui: "SF Pro"
+    },
+    linux: {
+      installed: ["ubuntu", "cantarell", "dejavu sans", "noto sans", "liberation sans", "arial"],
+      candidates: ["Ubuntu", "Cantarell", "DejaVu Sans", "Noto Sans", "Liberation Sans", "Arial"],
+      system: ["Ubuntu", "Cantarell", "DejaVu Sans", "Noto Sans", "Arial"],
+      ui: "system-ui"
+    },
+    other: {
+      installed: [],
+      candidates: ["Ubuntu", "Cantarell", "DejaVu Sans", "Noto Sans", "Liberation Sans", "Arial"],
+      system: ["Arial", "sans-serif"],
+      ui: "system-ui"
+    }
+  };
+
+  const platformOf = (ua = "") =>
+    /Windows/.test(ua) ? "windows" : /Macintosh|Mac OS X/.test(ua) ? "mac" : /Linux/.test(ua) ? "linux" : "other";
+
+  // How far to trust the resolved family. Each signal scores 0–1 (null when
+  // it doesn't apply) and counts by its weight; the level comes from the total.
+  const CONFIDENCE_LEVELS = [[0.8, "high"], [0.5, "medium"], [0, "low"]];
+
+  const createDetector = (env) => {
+    const platform = PLATFORMS[platformOf(env.userAgent)];
+    const availability = new Map(); // lowercased family -> boolean
+
+    const fontsCheck = (font) => {
+      try {
+        return typeof env.fonts?.check === "function" ? env.fonts.check(font) : null;
+      } catch { return null; }
+    };
+
+    const forEachFontFace = (cb) => {
+      try {
+        if (typeof env.fonts?.forEach === "function") env.fonts.forEach(cb);
+      } catch (e) { /* ignore */ }
+    };
+
+    const isFontAvailable = (nameRaw) => {
+      if (!nameRaw) return false;
+      const name = unquote(nameRaw);
+      const low = name.toLowerCase();
+      if (availability.has(low)) return availability.get(low);
+      const remember = (ok) => { availability.set(low, ok); return ok; };
+      if (GENERIC_FAMILIES.has(low)) return remember(true);
+
+      // document.fonts.check() (most reliable for web fonts), at a few sizes
+      if (fontsCheck(`16px "${name}"`) || fontsCheck(`12px "${name}"`) || fontsCheck(`bold 16px "${name}"`)) {
+        return remember(true);
+      }
+
+      // A face with this family in document.fonts
+      let found = false;
+      forEachFontFace((fontFace) => {
+        if (unquote(fontFace.family).toLowerCase() === low) found = true;
+      });
+      if (found) return remember(true);
+
+      // Canvas measurement, then the platform's known system fonts
+      if (env.rendersDistinctly(name)) return remember(true);
+      return remember(platform.installed.includes(low));
+    };
+
+    // Strategy A: every loaded web font, skipping generic names
+    const getLoadedWebFonts = () => {
+      const fonts = [];
+      forEachFontFace((fontFace) => {
+        if (fontFace.status !== "loaded" || !fontFace.family) return;
+        const family = unquote(fontFace.family);
+        if (family && !GENERIC_FAMILIES.has(family.toLowerCase())) {
+          fonts.push({ family, weight: fontFace.weight || "normal", style: fontFace.style || "normal" });
+        }
+      });
+      return fonts;
+    };
+
+    // Strategy D: inline font-family declarations on the element and its ancestors
+    const findInlineStyleFonts = (el) => {
+      const fonts = [];
+      let node = el;
+      for (let i = 0; i < 10 && node; i++) {
+        try {
+          if (node.nodeType === 1 && node.style?.fontFamily) fonts.push(...parseFamilies(node.style.fontFamily));
+        } catch (e) { /* ignore */ }
+        node = env.parentOf(node);
+      }
+      return fonts;
+    };
+
+    // Strategy E: font stacks held in well-known custom properties
+    const findCSSVariableFonts = (el) => {
+      const fonts = [];
+      try {
+        const cs = env.getComputedStyle(el);
+        for (const varName of FONT_VARIABLES) {
+          const value = cs.getPropertyValue(varName).trim();
+          if (value) fonts.push(...parseFamilies(value));
+        }
+      } catch (e) { /* ignore */ }
+      return fonts;
+    };
+
+    // Answers are cached, "no" included; forget them once more fonts have loaded
+    const resetAvailability = () => availability.clear();
+
+    const getSystemFonts = () => platform.system;
+
+    // The platform font an alias (-apple-system, system-ui) stands for
+    const mapAliasToPlatformFont = (alias) =>
+      platform.candidates.find(c => isFontAvailable(c) && env.sameMetrics(alias, c)) || platform.ui;
+
+    // Each stage proposes candidate families with the evidence behind them.
+    // Stages run in order until one candidate is a real, available font;
+    // aliases and generics are only used when nothing is. To add a stage, add
+    // { id, label, forced?, run(el) -> [{ family, evidence }] }. `forced`
+    // stages guess from what the page loaded rather than from the element's
+    // own stack (modern sites like Shopify and Framer need them).
+    const stages = [
+      {
+        id: "computed",
+        label: "Computed style",
+        run: (startEl) => {
+          const out = [];
+          const add = (node, where) => {
+            try {
+              for (const family of parseFamilies(env.getComputedStyle(node).fontFamily)) {
+                out.push({ family, evidence: `font-family on ${where}` });
+              }
+            } catch { }
+          };
+          let node = startEl;
+          for (let i = 0; i < 8 && node; i++) {
+            if (node.nodeType === 1) add(node, env.describe(node));
+            node = env.parentOf(node);
+          }
+          if (env.body()) add(env.body(), "body");
+          add(env.root(), "html");
+          return out;
+        }
+      },
+      {
+        id: "css-variables",
+        label: "CSS variables",
+        run: (el) => findCSSVariableFonts(el).map(family => ({ family, evidence: "font stack in a custom property" }))
+      },
+      {
+        id: "inline-style",
+        label: "Inline styles",
+        run: (el) => findInlineStyleFonts(el).map(family => ({ family, evidence: "inline style attribute" }))
+      },
+      {
+        id: "loaded-fonts",
+        label: "document.fonts",
+        forced: true,
+        run: () => getLoadedWebFonts().map(f => ({ family: f.family, evidence: "web font loaded by the page" }))
+      },
+      {
+        id: "font-face",
+        label: "@font-face rules",
+        forced: true,
+        run: () => env.fontFaceFamilies().map(family => ({ family, evidence: "@font-face rule on the page" }))
+      }
+    ];
+
+    // Returns { family, forced, decidedBy: { id, label }, steps, note }. Steps
+    // list every distinct candidate up to the chosen one; note explains any
+    // correction applied after the stages (system fallback, alias mapping).
+    const resolveFamily = (startEl) => {
+      const seen = new Set();
+      const steps = [];
+      let firstAlias = null;
+      let firstGeneric = null;
+      let chosen = null;
+      let decidedBy = null;
+
+      for (const stage of stages) {
+        if (chosen) break;
+        let candidates = [];
+        try { candidates = stage.run(startEl); } catch { }
+        for (const candidate of candidates) {
+          if (chosen) break;
+          const name = unquote(candidate.family);
+          const low = name.toLowerCase();
+          if (!name || seen.has(low)) continue;
+          seen.add(low);
+          const step = { stage: stage.label, family: name, evidence: candidate.evidence };
+          if (ALIAS_FAMILIES.has(low)) {
+            if (!firstAlias) firstAlias = name;
+            steps.push({ ...step, outcome: "rejected", reason: "system font alias" });
+          } else if (GENERIC_FAMILIES.has(low)) {
+            if (!firstGeneric) firstGeneric = name;
+            steps.push({ ...step, outcome: "rejected", reason: "generic family" });
+          } else if (isFontAvailable(name)) {
+            chosen = name;
+            decidedBy = stage;
+            steps.push({ ...step, outcome: "chosen" });
+          } else {
+            steps.push({ ...step, outcome: "rejected", reason: "not installed or loaded" });
+          }
+        }
+      }
+
+      const result = (family, note = null) => ({
+        family,
+        forced: !!decidedBy?.forced,
+        decidedBy: decidedBy && { id: decidedBy.id, label: decidedBy.label },
+        steps,
+        note
+      });
+
+      if (chosen) {
+        // A font confirmed by document.fonts.check() is trusted as is. Otherwise
+        // make sure it isn't silently falling back to a system font.
+        const confirmed = fontsCheck(`16px "${chosen}"`) || fontsCheck(`12px "${chosen}"`);
+        if (!confirmed) {
+          for (const sys of getSystemFonts()) {
+            if (chosen.toLowerCase() !== sys.toLowerCase() && env.measuresLike(chosen, sys)) {
+              return result(sys, `${chosen} measures the same as ${sys}, so ${sys} is what renders`);
+            }
+          }
+        }
+
+        if (chosen.toLowerCase() === "system-ui") {
+          const mapped = mapAliasToPlatformFont("system-ui");
+          return result(mapped, `system-ui maps to ${mapped} on this platform`);
+        }
+        return result(chosen);
+      }
+      if (firstAlias) {
+        const mapped = mapAliasToPlatformFont(firstAlias);
+        return result(mapped, `No declared family is available; ${firstAlias} maps to ${mapped}`);
+      }
+      return result(firstGeneric || "system-ui", "No declared family is available; showing the generic fallback");
+    };
+
+    // -> { level: "high" | "medium" | "low", score: 0-100, signals: [{ label, value }] }
+    const scoreConfidence = (cs, resolution, pickedDirectly) => {
+      const family = resolution.family;
+      const low = family.toLowerCase();
+      const isGeneric = GENERIC_FAMILIES.has(low) || ALIAS_FAMILIES.has(low) || low === "system-ui";
+      const signals = [];
+      const signal = (label, value, weight) => signals.push({ label, value, weight });
+
+      const declared = parseFamilies(cs.fontFamily).map(f => f.toLowerCase());
+      const position = declared.indexOf(low);
+      if (position === 0) signal("First family in the declared stack", 1, 2);
+      else if (position > 0) signal("Named in the declared stack, after unavailable families", 0.5, 2);
+      else if (resolution.decidedBy?.id === "computed") signal("Inherited from an ancestor's stack", 0.5, 2);
+      else if (resolution.decidedBy) signal(`Not in the declared stack (found by ${resolution.decidedBy.label})`, 0, 2);
+      else signal("No declared family is available", 0, 2);
+
+      const loaded = fontsCheck(`16px "${family}"`);
+      if (!isGeneric && loaded !== null) {
+        signal(loaded ? "document.fonts.check() confirms it" : "document.fonts.check() says it isn't loaded", loaded ? 1 : 0, 1);
+      }
+
+      if (!isGeneric) {
+        const drawn = env.rendersDistinctly(family);
+        signal(drawn ? "Renders differently from the generic fallbacks" : "Measures the same as a generic fallback", drawn ? 1 : 0, 2);
+      }
+
+      if (resolution.note) signal(resolution.note, 0.5, 2);
+      else if (!isGeneric) {
+        const lookalike = getSystemFonts().find(sys => sys.toLowerCase() !== low && env.measuresLike(family, sys));
+        signal(lookalike ? `Measures the same as ${lookalike}` : "Doesn't fall back to a system font", lookalike ? 0 : 1, 2);
+      }
+
+      signal(pickedDirectly ? "Picked element holds the text" : "Element was guessed from the click point", pickedDirectly ? 1 : 0.5, 1);
+
+      const scored = signals.filter(sg => sg.value !== null);
+      const total = scored.reduce((sum, sg) => sum + sg.weight, 0);
+      const score = total ? scored.reduce((sum, sg) => sum + sg.value * sg.weight, 0) / total : 0;
+      return {
+        level: CONFIDENCE_LEVELS.find(([min]) => score >= min)[1],
+        score: Math.round(score * 100),
+        signals: signals.map(({ label, value }) => ({ label, value }))
+      };
+    };
+
+    return {
+      stages, isFontAvailable, resetAvailability, getLoadedWebFonts, findInlineStyleFonts, findCSSVariableFonts,
+      getSystemFonts, mapAliasToPlatformFont, resolveFamily, scoreConfidence
+    };
+  };
+
+  Object.assign(lib, { createDetector, platformOf });
+})(typeof window === "undefined" ? module.exports : (window.__FS_LIB__ = window.__FS_LIB__ || {}));
@@ -0,0 +1,51 @@
+/**
+ * FontSeek — Font Family Helpers
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * Injected into the page ahead of content.js, which picks these up from
+ * window.__FS_LIB__. Node tests require the file directly.
+ */
+
+((lib) => {
+  const GENERIC_FAMILIES = new Set([
+    "ui-sans-serif", "ui-serif", "ui-monospace", "ui-rounded",
+    "sans-serif", "serif", "monospace", "cursive", "fantasy", "emoji", "math", "fangsong"
+  ]);
+
+  // Names that stand for the platform UI font rather than a real family
+  const ALIAS_FAMILIES = new Set(["-apple-system", "blinkmacsystemfont"]);
+
+  const parseFamilies = (fontFamilyStr) =>
+    String(fontFamilyStr || "")
+      .split(",")
+      .map(s => s.trim().replace(/^['"]|['"]$/g, ""))
+      .filter(Boolean);
+
+  const WEIGHT_NAMES = { 100: "Thin", 200: "Extra Light", 300: "Light", 400: "Regular", 500: "Medium", 600: "Semi Bold", 700: "Bold", 800: "Extra Bold", 900: "Black" };
+
+  const normalizeWeightNumber = (w) => {
+    if (typeof w === "string") {
+      const s = w.toLowerCase();
+      if (s === "normal") return 400;
+      if (s === "bold") return 700;
+      const n = parseInt(s, 10);
+      if (!isNaN(n)) return Math.min(900, Math.max(100, n));
+      return 400;
+    }
+    if (typeof w === "number") return Math.min(900, Math.max(100, w));
+    return 400;
+  };
+
+  const bucketWeight = (n) => Math.min(900, Math.max(100, Math.round(n / 100) * 100));
+
+  const formatWeight = (w) => {
+    const n = normalizeWeightNumber(w);
+    const name = WEIGHT_NAMES[bucketWeight(n)] || "Regular";
+    return `${n} — ${name}`;
+  };
+
+  Object.assign(lib, {
+    GENERIC_FAMILIES, ALIAS_FAMILIES, WEIGHT_NAMES,
+    parseFamilies, normalizeWeightNumber, bucketWeight, formatWeight
+  });
+})(typeof window === "undefined" ? module.exports : (window.__FS_LIB__ = window.__FS_LIB__ || {}));
@@ -0,0 +1,109 @@
+/**
+ * FontSeek — Options Page
+ * (c) 2025 Wahib Irawan — MIT License
+ */
+
+import {
+  SEARCH_PROVIDERS, getDefaults, getSiteOverrides, loadSettings, normalizeHost,
+  saveDefaults, resetDefaults, saveSiteOverride, removeSiteOverride
+} from "./settings.js";
+
+const FRAME_ORIGINS = { origins: ["<all_urls>"] };
+const $ = (id) => document.getElementById(id);
+const scopeEl = $("scope");
+const formatChecks = () => Array.from($("colorFormats").querySelectorAll("input[type=checkbox]"));
+
+const flash = (msg) => {
+  $("status").textContent = msg;
+  setTimeout(() => { $("status").textContent = ""; }, 1500);
+};
+
+for (const provider of SEARCH_PROVIDERS) $("searchProvider").appendChild(new Option(provider.label, provider.id));
+
+const fillForm = (s) => {
+  $("searchProvider").value = s.searchProvider;
+  $("searchUrl").value = s.searchUrl;
+  $("allFontsLimit").value = s.allFontsLimit;
+  $("hoverThrottleMs").value = s.hoverThrottleMs;
+  $("persistHistory").checked = s.persistHistory;
+  $("copyFormat").value = s.copyFormat;
+  for (const box of formatChecks()) box.checked = s.colorFormats.includes(box.value);
+};
+
+const readForm = () => ({
+  searchProvider: $("searchProvider").value,
+  searchUrl: $("searchUrl").value,
+  allFontsLimit: $("allFontsLimit").value,
+  hoverThrottleMs: $("hoverThrottleMs").value,
+  persistHistory: $("persistHistory").checked,
+  copyFormat: $("copyFormat").value,
+  colorFormats: formatChecks().filter(b => b.checked).map(b => b.value)
+});
+
+// "" = synced defaults, otherwise a hostname
+const renderScopes = async (selected = "") => {
+  const hosts = Object.keys(await getSiteOverrides());
+  if (selected && !hosts.includes(selected)) hosts.push(selected);
+  scopeEl.replaceChildren();
+  scopeEl.appendChild(new Option("All sites (defaults)", ""));
+  for (const host of hosts.sort()) scopeEl.appendChild(new Option(host, host));
+  scopeEl.value = selected;
+  $("remove-site").hidden = !selected;
+};
+
+const loadScope = async () => {
+  const host = scopeEl.value;
+  fillForm(host ? await loadSettings(host) : await getDefaults());
+  $("remove-site").hidden = !host;
+};
+
+const renderFrameAccess = async () => {
+  const granted = await chrome.permissions.contains(FRAME_ORIGINS);
+  $("frames-state").textContent = granted
+    ? "Allowed. Text inside iframes from other sites can be inspected."
+    : "Inspecting text inside iframes from other sites needs access to all sites.";
+  $("grant-frames").textContent = granted ? "Revoke" : "Allow";
+};
+
+scopeEl.addEventListener("change", loadScope);
+
+$("add-site").addEventListener("click", async () => {
+  const host = normalizeHost(prompt("Site hostname (e.g. example.com)"));
+  if (!host) return;
+  await renderScopes(host);
+  await loadScope();
+});
+
+$("remove-site").addEventListener("click", async () => {
+  await removeSiteOverride(scopeEl.value);
+  await renderScopes();
+  await loadScope();
+  flash("Site override removed");
+});
+
+$("save").addEventListener("click", async () => {
+  const host = scopeEl.value;
+  if (host) await saveSiteOverride(host, readForm());
+  else await saveDefaults(readForm());
+  await renderScopes(host);
+  await loadScope();
+  flash("Saved");
+});
+
+$("reset").addEventListener("click", async () => {
+  const host = scopeEl.value;
+  if (host) await removeSiteOverride(host);
+  else await resetDefaults();
+  await loadScope();
+  flash("Reset");
+});
+
+$("grant-frames").addEventListener("click", async () => {
+  if (await chrome.permissions.contains(FRAME_ORIGINS)) await chrome.permissions.remove(FRAME_ORIGINS);
+  else await chrome.permissions.request(FRAME_ORIGINS);
+  await renderFrameAccess();
+});
+
+await renderScopes();
+await loadScope();
+await renderFrameAccess();
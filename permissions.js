@@ -0,0 +1,45 @@
+/**
+ * FontSeek — Permission Prompt
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * chrome.permissions.request() needs a user gesture on an extension page, so
+ * features that need an optional permission open this page first.
+ * Query: ?permissions=a,b&origins=x,y&feature=<id>&tab=<tabId>
+ */
+
+const FEATURES = {
+  precise: {
+    title: "Enable Precise mode",
+    reason: "Precise mode asks Chrome's DevTools protocol which fonts actually rendered the text you pick. " +
+      "Chrome will show a \"started debugging this browser\" bar while it is on. Nothing leaves your device."
+  },
+  stylesheets: {
+    title: "Read cross-origin stylesheets",
+    reason: "Some of this page's stylesheets are served from other sites, so the page can't read their @font-face rules. " +
+      "Allow FontSeek to download them (without cookies) from: "
+  }
+};
+
+const params = new URLSearchParams(location.search);
+const list = (key) => (params.get(key) || "").split(",").filter(Boolean);
+const request = { permissions: list("permissions"), origins: list("origins") };
+const feature = params.get("feature");
+const tabId = parseInt(params.get("tab"), 10) || null;
+
+const info = FEATURES[feature] || { title: "Permission needed", reason: "FontSeek needs an additional permission for this feature." };
+document.title = `FontSeek — ${info.title}`;
+document.getElementById("title").textContent = info.title;
+document.getElementById("reason").textContent = feature === "stylesheets"
+  ? info.reason + request.origins.map(o => o.replace(/\/\*$/, "")).join(", ")
+  : info.reason;
+
+document.getElementById("cancel").addEventListener("click", () => window.close());
+document.getElementById("allow").addEventListener("click", async () => {
+  try {
+    const granted = await chrome.permissions.request(request);
+    if (granted) await chrome.runtime.sendMessage({ type: "fs:permission-granted", feature, tabId });
+  } catch (e) {
+    console.error("FontSeek permission request failed:", e);
+  }
+  window.close();
+});
@@ -0,0 +1,149 @@
+/**
+ * FontSeek — Settings
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * Shared by background.js and the options page. Settings resolve in layers:
+ * built-in defaults < managed policy (chrome.storage.managed) < synced user
+ * defaults < per-site override for the page's hostname.
+ */
+
+export const COLOR_FORMATS = ["hex", "rgb", "hsl", "cmyk"];
+
+// Where the popup's search button looks a family up. "custom" uses the
+// searchUrl template, which defaults to a Bing web search.
+export const SEARCH_PROVIDERS = Object.freeze([
+  { id: "custom", label: "Custom URL template", url: null },
+  { id: "google-fonts", label: "Google Fonts", url: "https://fonts.google.com/?query={family}" },
+  { id: "adobe-fonts", label: "Adobe Fonts", url: "https://fonts.adobe.com/search?query={family}" },
+  { id: "fontshare", label: "Fontshare", url: "https://www.fontshare.com/?q={family}" },
+  { id: "myfonts", label: "MyFonts", url: "https://www.myfonts.com/search?query={family}" },
+  { id: "fontsquirrel", label: "Font Squirrel", url: "https://www.fontsquirrel.com/fonts/list/find_fonts?q%5Bterm%5D={family}" }
+]);
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  searchProvider: "custom", // id from SEARCH_PROVIDERS
+  searchUrl: "https://www.bing.com/search?q={query}", // {query} = "<family> font", {family} = family only
+  allFontsLimit: 20,       // rows shown in the All Fonts panel
+  hoverThrottleMs: 50,     // hover highlight update interval while picking
+  copyFormat: "hex",       // format shown on the colour swatch and copied when clicking it
+  colorFormats: [...COLOR_FORMATS], // quick-copy buttons, in order
+  persistHistory: false    // keep the inspection history per tab across page loads
+});
+
+const SYNC_KEY = "settings";
+// Each site override is its own sync item ("site:example.com"), so no single
+// item grows past chrome.storage.sync's per-item quota. Older versions kept
+// them all in one "siteOverrides" item, which is moved over on the next write.
+const SITE_PREFIX = "site:";
+const LEGACY_SITES_KEY = "siteOverrides";
+const siteKey = (host) => SITE_PREFIX + host;
+
+const clampInt = (v, min, max, fallback) => {
+  const n = parseInt(v, 10);
+  return isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+};
+
+// Drop unknown keys and coerce values; missing keys are left out so layers can merge
+export const sanitizeSettings = (raw) => {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  if (SEARCH_PROVIDERS.some(p => p.id === raw.searchProvider)) out.searchProvider = raw.searchProvider;
+  if (typeof raw.searchUrl === "string" && /^https?:\/\//i.test(raw.searchUrl.trim())) {
+    out.searchUrl = raw.searchUrl.trim();
+  }
+  if (raw.allFontsLimit !== undefined) out.allFontsLimit = clampInt(raw.allFontsLimit, 1, 500, DEFAULT_SETTINGS.allFontsLimit);
+  if (raw.hoverThrottleMs !== undefined) out.hoverThrottleMs = clampInt(raw.hoverThrottleMs, 0, 1000, DEFAULT_SETTINGS.hoverThrottleMs);
+  if (COLOR_FORMATS.includes(raw.copyFormat)) out.copyFormat = raw.copyFormat;
+  if (Array.isArray(raw.colorFormats)) out.colorFormats = COLOR_FORMATS.filter(f => raw.colorFormats.includes(f));
+  if (typeof raw.persistHistory === "boolean") out.persistHistory = raw.persistHistory;
+  return out;
+};
+
+const getManaged = async () => {
+  try { return sanitizeSettings(await chrome.storage.managed.get(null)); } catch { return {}; }
+};
+
+export const normalizeHost = (host) => String(host || "").trim().toLowerCase().replace(/^www\./, "");
+
+const diffFrom = (base, values) => {
+  const diff = {};
+  for (const [k, v] of Object.entries(sanitizeSettings(values))) {
+    if (JSON.stringify(v) !== JSON.stringify(base[k])) diff[k] = v;
+  }
+  return diff;
+};
+
+export const getDefaults = async () => {
+  const { [SYNC_KEY]: stored } = await chrome.storage.sync.get(SYNC_KEY);
+  return { ...DEFAULT_SETTINGS, ...(await getManaged()), ...sanitizeSettings(stored) };
+};
+
+const legacySites = (stored) => {
+  const sites = stored[LEGACY_SITES_KEY];
+  return sites && typeof sites === "object" ? sites : {};
+};
+
+export const getSiteOverrides = async () => {
+  const stored = await chrome.storage.sync.get(null);
+  const sites = legacySites(stored);
+  for (const [key, value] of Object.entries(stored)) {
+    if (key.startsWith(SITE_PREFIX)) sites[key.slice(SITE_PREFIX.length)] = value;
+  }
+  return sites;
+};
+
+// Effective settings for a page
+export const loadSettings = async (hostname) => {
+  const host = normalizeHost(hostname);
+  const defaults = await getDefaults();
+  const stored = await chrome.storage.sync.get([siteKey(host), LEGACY_SITES_KEY]);
+  return { ...defaults, ...sanitizeSettings(stored[siteKey(host)] ?? legacySites(stored)[host]) };
+};
+
+// Split the old single item into per-site keys
+const migrateSiteOverrides = async () => {
+  const stored = await chrome.storage.sync.get(LEGACY_SITES_KEY);
+  if (!(LEGACY_SITES_KEY in stored)) return;
+  const sites = legacySites(stored);
+  const current = await chrome.storage.sync.get(Object.keys(sites).map(siteKey));
+  const moved = {};
+  for (const [host, values] of Object.entries(sites)) {
+    if (!(siteKey(host) in current)) moved[siteKey(host)] = values;
+  }
+  if (Object.keys(moved).length) await chrome.storage.sync.set(moved);
+  await chrome.storage.sync.remove(LEGACY_SITES_KEY);
+};
+
+// Providers for the popup's search menu. The custom entry takes its URL from
+// searchUrl and is labelled with that site's hostname ("bing.com (custom)"), so it
+// stays distinct from a built-in provider on the same site.
+export const resolveSearchProviders = (settings) => SEARCH_PROVIDERS.map(p => {
+  if (p.url) return { ...p };
+  let label = p.label;
+  try { label = `${new URL(settings.searchUrl).hostname.replace(/^www\./, "")} (custom)`; } catch { }
+  return { id: p.id, label, url: settings.searchUrl };
+});
+
+// Only keys that differ from the layer below are stored, so policy changes still apply
+export const saveDefaults = async (values) => {
+  const base = { ...DEFAULT_SETTINGS, ...(await getManaged()) };
+  await chrome.storage.sync.set({ [SYNC_KEY]: diffFrom(base, values) });
+};
+
+export const resetDefaults = async () => {
+  await chrome.storage.sync.remove(SYNC_KEY);
+};
+
+export const saveSiteOverride = async (hostname, values) => {
+  const host = normalizeHost(hostname);
+  if (!host) return;
+  await migrateSiteOverrides();
+  const diff = diffFrom(await getDefaults(), values);
+  if (Object.keys(diff).length) await chrome.storage.sync.set({ [siteKey(host)]: diff });
+  else await chrome.storage.sync.remove(siteKey(host));
+};
+
+export const removeSiteOverride = async (hostname) => {
+  await migrateSiteOverrides();
+  await chrome.storage.sync.remove(siteKey(normalizeHost(hostname)));
+};
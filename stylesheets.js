@@ -0,0 +1,115 @@
+/**
+ * FontSeek — Cross-Origin Stylesheets
+ * (c) 2025 Wahib Irawan — MIT License
+ *
+ * The page can't read cssRules of stylesheets served from other origins (most
+ * CDN-hosted CSS). The service worker fetches them instead and returns only
+ * the @font-face descriptors, which content.js merges into its results.
+ */
+
+const MAX_SHEETS = 50;
+const MAX_BYTES = 5 * 1024 * 1024;
+
+const stripComments = (css) => css.replace(/\/\*[\s\S]*?\*\//g, "");
+
+// Split on `sep` outside quotes and parentheses (data: URLs contain ';' and ',')
+const splitOutside = (str, sep) => {
+  const parts = [];
+  let depth = 0, quote = null, cur = "";
+  for (const ch of str) {
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === "(") depth++;
+    else if (ch === ")") depth--;
+    else if (ch === sep && depth === 0) { parts.push(cur); cur = ""; continue; }
+    cur += ch;
+  }
+  parts.push(cur);
+  return parts;
+};
+
+// "font-family: Inter; src: url(a.woff2)" -> { "font-family": "Inter", src: "url(a.woff2)" }
+const parseDeclarations = (body) => {
+  const out = {};
+  for (const decl of splitOutside(body, ";")) {
+    const i = decl.indexOf(":");
+    if (i < 0) continue;
+    const prop = decl.slice(0, i).trim().toLowerCase();
+    const value = decl.slice(i + 1).replace(/!important\s*$/i, "").trim();
+    if (prop && value) out[prop] = value;
+  }
+  return out;
+};
+
+export const parseFontFaceBlocks = (cssText) => {
+  const css = stripComments(cssText);
+  const faces = [];
+  const re = /@font-face\s*\{/gi;
+  let m;
+  while ((m = re.exec(css))) {
+    let i = re.lastIndex, quote = null;
+    for (; i < css.length; i++) {
+      const ch = css[i];
+      if (quote) { if (ch === quote) quote = null; }
+      else if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === "}") break;
+    }
+    faces.push(parseDeclarations(css.slice(re.lastIndex, i)));
+    re.lastIndex = i + 1;
+  }
+  return faces;
+};
+
+export const parseImports = (cssText, baseUrl) => {
+  const urls = [];
+  const re = /@import\s+(?:url\(\s*)?["']?([^"')\s;]+)["']?/gi;
+  let m;
+  while ((m = re.exec(stripComments(cssText)))) {
+    try { urls.push(new URL(m[1], baseUrl).href); } catch { }
+  }
+  return urls;
+};
+
+const fetchText = async (url) => {
+  const res = await fetch(url, { credentials: "omit", cache: "force-cache" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const text = await res.text();
+  if (text.length > MAX_BYTES) throw new Error("Stylesheet too large");
+  return text;
+};
+
+/**
+ * Fetch stylesheets (and their direct @imports) and extract @font-face rules.
+ * Returns { sheets: [{ url, faces }], failed: [url] }. Fetches without
+ * cookies; origins without host permission fail unless they send CORS headers.
+ * The page controls what it links, so imports are followed one level only
+ * and only onto origins a linked sheet is already on.
+ */
+export const fetchFontFaces = async (urls) => {
+  const queue = [...new Set(urls)].filter(u => /^https?:\/\//i.test(u)).slice(0, MAX_SHEETS);
+  const linked = queue.length;
+  const linkedOrigins = new Set(queue.map(u => new URL(u).origin));
+  const seen = new Set(queue);
+  const sheets = [], failed = [];
+
+  for (let i = 0; i < queue.length; i++) {
+    const url = queue[i];
+    try {
+      const text = await fetchText(url);
+      sheets.push({ url, faces: parseFontFaceBlocks(text) });
+      if (i >= linked) continue;
+      for (const imported of parseImports(text, url)) {
+        if (seen.has(imported) || queue.length >= MAX_SHEETS) continue;
+        if (!linkedOrigins.has(new URL(imported).origin)) continue;
+        seen.add(imported);
+        queue.push(imported);
+      }
+    } catch {
+      failed.push(url);
+    }
+  }
+  return { sheets, failed };
+};
+
+export const originPatterns = (urls) =>
+  [...new Set(urls.flatMap((u) => { try { return [`${new URL(u).origin}/*`]; } catch { return []; } }))];
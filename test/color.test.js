@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHexToRgb, rgbToHsl, rgbToCmyk } = require("../lib/color.js");
+
+test("parseHexToRgb reads short, long and alpha hex", () => {
+  assert.deepEqual(parseHexToRgb("#0af"), [0, 170, 255]);
+  assert.deepEqual(parseHexToRgb("#1E293B"), [30, 41, 59]);
+  assert.deepEqual(parseHexToRgb(" #FF000080 "), [255, 0, 0]);
+});
+
+test("parseHexToRgb rejects anything else", () => {
+  assert.equal(parseHexToRgb("rgb(0, 0, 0)"), null);
+  assert.equal(parseHexToRgb("#12345"), null);
+  assert.equal(parseHexToRgb(""), null);
+});
+
+test("rgbToHsl matches known colours", () => {
+  assert.deepEqual(rgbToHsl(255, 0, 0), [0, 100, 50]);
+  assert.deepEqual(rgbToHsl(0, 128, 0), [120, 100, 25]);
+  assert.deepEqual(rgbToHsl(128, 128, 128), [0, 0, 50]);
+  assert.deepEqual(rgbToHsl(99, 102, 241), [239, 84, 67]);
+});
+
+test("rgbToCmyk converts and survives black", () => {
+  assert.deepEqual(rgbToCmyk(255, 0, 0), [0, 100, 100, 0]);
+  assert.deepEqual(rgbToCmyk(255, 255, 255), [0, 0, 0, 0]);
+  assert.deepEqual(rgbToCmyk(0, 0, 0), [0, 0, 0, 100]);
+  assert.deepEqual(rgbToCmyk(30, 41, 59), [49, 31, 0, 77]);
+});
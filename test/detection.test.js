@@ -0,0 +1,255 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createDetector, platformOf } = require("../lib/detection.js");
+
+const WINDOWS_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/130.0 Safari/537.36";
+const MAC_UA = "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/537.36 Chrome/130.0 Safari/537.36";
+
+// Stub elements: `computed` is what getComputedStyle reports (font-family plus
+// any custom properties), `style` is the inline style attribute.
+const el = (name, computed = {}, parent = null, style = {}) =>
+  ({ nodeType: 1, name, computed, style, parent });
+
+// Stub page. `faces` are FontFace-like entries in document.fonts, `installed`
+// are local families; check() succeeds for loaded faces and installed
+// families, as Chrome's does. `drawn` are families the canvas can tell apart
+// from the generics without either; `fallsBackTo` maps a family to the system
+// font it really renders as.
+const page = ({ faces = [], installed = [], drawn = [], fontFace = [], fallsBackTo = {}, sameAs = {}, userAgent = WINDOWS_UA, body = null, root = el("html") } = {}) => {
+  const loaded = (family) => faces.some(f => f.status === "loaded" && f.family.toLowerCase() === family.toLowerCase());
+  const local = (family) => installed.some(f => f.toLowerCase() === family.toLowerCase());
+  const familyOf = (font) => (font.match(/"([^"]+)"/) || [])[1] || "";
+  const calls = { check: 0 };
+  const env = {
+    getComputedStyle: (node) => ({
+      fontFamily: node.computed.fontFamily || "",
+      getPropertyValue: (name) => node.computed[name] || ""
+    }),
+    parentOf: (node) => node.parent,
+    describe: (node) => node.name,
+    body: () => body,
+    root: () => root,
+    fonts: {
+      check: (font) => { calls.check++; const f = familyOf(font); return loaded(f) || local(f); },
+      forEach: (cb) => faces.forEach(cb)
+    },
+    fontFaceFamilies: () => fontFace,
+    rendersDistinctly: (family) => loaded(family) || local(family) || drawn.includes(family) || family in fallsBackTo,
+    measuresLike: (font, sys) => fallsBackTo[font] === sys,
+    sameMetrics: (a, b) => sameAs[a] === b,
+    userAgent
+  };
+  return { env, calls };
+};
+
+// Fixture pages (test/fixtures/*.html). There is no DOM here, so the tests
+// read what they need straight from the markup: the @font-face families, the
+// declarations in the <style> block and the inline style of an element.
+const fixture = (name) => {
+  const html = fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+  const css = html.match(/<style>([\s\S]*?)<\/style>/)[1];
+  return {
+    // Every face is declared with local() sources, so all of them load
+    faces: Array.from(css.matchAll(/@font-face\s*{[^}]*?font-family:\s*"([^"]+)"/g), m => ({ family: m[1], status: "loaded" })),
+    declared: (selector, prop) => {
+      const rule = css.match(new RegExp(`(?:^|})\\s*${selector.replace(/[.*]/g, "\\$&")}\\s*{([^}]*)}`));
+      return rule?.[1].match(new RegExp(`(?:^|;)\\s*${prop}:\\s*([^;]+);`))?.[1].trim() ?? "";
+    },
+    inline: (cls, prop) => {
+      const style = html.match(new RegExp(`class="${cls}"[^>]*style="([^"]*)"`))[1].replace(/&quot;/g, '"');
+      return style.match(new RegExp(`(?:^|;)\\s*${prop}:\\s*([^;]+)`))?.[1].trim() ?? "";
+    }
+  };
+};
+
+test("platformOf reads the user agent", () => {
+  assert.equal(platformOf(WINDOWS_UA), "windows");
+  assert.equal(platformOf(MAC_UA), "mac");
+  assert.equal(platformOf("Mozilla/5.0 (X11; Linux x86_64)"), "linux");
+  assert.equal(platformOf(""), "other");
+});
+
+test("picks the first available family in the element's own stack", () => {
+  const { env } = page({ faces: [{ family: "Brand Sans", status: "loaded" }] });
+  const span = el("span.title", { fontFamily: `"Brand Sans", Arial, sans-serif` });
+  const r = createDetector(env).resolveFamily(span);
+
+  assert.equal(r.family, "Brand Sans");
+  assert.equal(r.forced, false);
+  assert.deepEqual(r.decidedBy, { id: "computed", label: "Computed style" });
+  assert.equal(r.note, null);
+  assert.deepEqual(r.steps, [{ stage: "Computed style", family: "Brand Sans", evidence: "font-family on span.title", outcome: "chosen" }]);
+});
+
+test("records why each earlier candidate was rejected", () => {
+  const { env } = page({ installed: ["Georgia"] });
+  const p = el("p", { fontFamily: `"Missing Serif", -apple-system, serif, Georgia` });
+  const r = createDetector(env).resolveFamily(p);
+
+  assert.equal(r.family, "Georgia");
+  assert.deepEqual(r.steps.map(s => [s.family, s.outcome, s.reason]), [
+    ["Missing Serif", "rejected", "not installed or loaded"],
+    ["-apple-system", "rejected", "system font alias"],
+    ["serif", "rejected", "generic family"],
+    ["Georgia", "chosen", undefined]
+  ]);
+});
+
+test("walks up to an ancestor's stack and skips families already seen", () => {
+  const { env } = page({ faces: [{ family: "Assistant", status: "loaded" }] });
+  const body = el("body", { fontFamily: "Assistant, sans-serif" });
+  const em = el("em", { fontFamily: "sans-serif" }, el("p", { fontFamily: "sans-serif" }, body));
+  const r = createDetector(env).resolveFamily(em);
+
+  assert.equal(r.family, "Assistant");
+  assert.deepEqual(r.steps.map(s => s.family), ["sans-serif", "Assistant"]);
+  assert.equal(r.steps[1].evidence, "font-family on body");
+});
+
+// Shopify themes hold the font stack in a custom property on :root
+test("Shopify fixture: the title computes to the theme font", () => {
+  const shop = fixture("shopify.html");
+  const { env } = page({ faces: shop.faces });
+  const title = el("h1.product__title", { fontFamily: shop.declared(":root", "--font-family") });
+  const r = createDetector(env).resolveFamily(title);
+
+  assert.equal(r.family, "Assistant");
+  assert.deepEqual(r.decidedBy, { id: "computed", label: "Computed style" });
+});
+
+test("Shopify fixture: the price finds the theme font through the variable", () => {
+  const shop = fixture("shopify.html");
+  const { env } = page({ faces: shop.faces });
+  const body = el("body", { fontFamily: shop.declared("html, body", "font-family") });
+  const vars = { "--font-family": shop.declared(":root", "--font-family") };
+  const price = el("span.price-item", { fontFamily: body.computed.fontFamily, ...vars },
+    el("p.price", { fontFamily: body.computed.fontFamily, ...vars }, body));
+  const r = createDetector(env).resolveFamily(price);
+
+  assert.equal(r.family, "Assistant");
+  assert.deepEqual(r.decidedBy, { id: "css-variables", label: "CSS variables" });
+  assert.equal(r.forced, false);
+});
+
+// Framer writes the stack inline on a text wrapper, followed by a local()
+// placeholder face with metric overrides
+test("Framer fixture: the heading takes the wrapper's inline stack, not the placeholder", () => {
+  const framer = fixture("framer.html");
+  const { env } = page({ faces: framer.faces });
+  const generic = framer.declared("body", "font-family");
+  const wrapper = el("div.framer-text-wrapper", { fontFamily: generic }, null,
+    { fontFamily: framer.inline("framer-text-wrapper", "font-family") });
+  const heading = el("h1.framer-text", { fontFamily: generic }, wrapper);
+  const r = createDetector(env).resolveFamily(heading);
+
+  assert.equal(r.family, "Inter Display");
+  assert.deepEqual(r.decidedBy, { id: "inline-style", label: "Inline styles" });
+});
+
+test("falls back to the page's loaded web fonts and marks the pick forced", () => {
+  const { env } = page({ faces: [{ family: "Brand Sans", status: "loaded" }, { family: "Lazy Serif", status: "unloaded" }] });
+  const r = createDetector(env).resolveFamily(el("div", { fontFamily: `"Not Here", sans-serif` }));
+
+  assert.equal(r.family, "Brand Sans");
+  assert.equal(r.forced, true);
+  assert.equal(r.decidedBy.id, "loaded-fonts");
+});
+
+test("uses @font-face declarations when nothing is loaded", () => {
+  const { env } = page({ fontFace: ["sans-serif", "Declared Only"], drawn: ["Declared Only"] });
+  const r = createDetector(env).resolveFamily(el("div", { fontFamily: "serif" }));
+
+  assert.equal(r.family, "Declared Only");
+  assert.equal(r.forced, true);
+  assert.equal(r.decidedBy.id, "font-face");
+});
+
+test("corrects a family that silently falls back to a system font", () => {
+  const { env } = page({ installed: ["Segoe UI"], fallsBackTo: { "Ghost Grotesk": "Segoe UI" } });
+  const r = createDetector(env).resolveFamily(el("p", { fontFamily: `"Ghost Grotesk", sans-serif` }));
+
+  assert.equal(r.family, "Segoe UI");
+  assert.match(r.note, /Ghost Grotesk measures the same as Segoe UI/);
+  assert.equal(r.decidedBy.id, "computed");
+});
+
+test("maps system-ui and aliases to the platform font", () => {
+  const mac = page({ userAgent: MAC_UA, installed: ["SF Pro Text"], drawn: ["system-ui"], sameAs: { "-apple-system": "SF Pro Text", "system-ui": "SF Pro Text" } });
+  const alias = createDetector(mac.env).resolveFamily(el("p", { fontFamily: "-apple-system, sans-serif" }));
+  assert.equal(alias.family, "SF Pro Text");
+  assert.match(alias.note, /-apple-system maps to SF Pro Text/);
+
+  const systemUi = createDetector(mac.env).resolveFamily(el("p", { fontFamily: "system-ui" }));
+  assert.equal(systemUi.family, "SF Pro Text");
+  assert.match(systemUi.note, /system-ui maps to SF Pro Text/);
+
+  // Nothing measures the same: use the platform's UI font name
+  const win = page({ sameAs: {} });
+  assert.equal(createDetector(win.env).resolveFamily(el("p", { fontFamily: "BlinkMacSystemFont" })).family, "Segoe UI");
+});
+
+test("ends on the generic fallback when no declared family is available", () => {
+  const { env } = page();
+  const r = createDetector(env).resolveFamily(el("p", { fontFamily: `"Nope", serif` }));
+
+  assert.equal(r.family, "serif");
+  assert.equal(r.decidedBy, null);
+  assert.match(r.note, /generic fallback/);
+});
+
+test("isFontAvailable trusts the platform list and caches answers", () => {
+  const { env, calls } = page();
+  const detector = createDetector(env);
+
+  assert.equal(detector.isFontAvailable("Tahoma"), true);
+  assert.equal(detector.isFontAvailable("'Unknown Face'"), false);
+  const after = calls.check;
+  assert.equal(detector.isFontAvailable("unknown face"), false);
+  assert.equal(calls.check, after);
+});
+
+test("resetAvailability lets a font that loaded later count", () => {
+  const faces = [];
+  const { env } = page({ faces });
+  const detector = createDetector(env);
+
+  assert.equal(detector.isFontAvailable("Late Sans"), false);
+  faces.push({ family: "Late Sans", status: "loaded" });
+  assert.equal(detector.isFontAvailable("Late Sans"), false);
+  detector.resetAvailability();
+  assert.equal(detector.isFontAvailable("Late Sans"), true);
+});
+
+test("isFontAvailable copes with a missing or throwing document.fonts", () => {
+  const { env } = page({ installed: ["Brand Sans"] });
+  env.fonts = { check: () => { throw new SyntaxError("bad font"); }, forEach: () => { throw new Error("nope"); } };
+  assert.equal(createDetector(env).isFontAvailable("Brand Sans"), true);
+
+  env.fonts = null;
+  assert.equal(createDetector(env).isFontAvailable("Brand Sans"), true);
+});
+
+test("scoreConfidence: a loaded first choice scores high", () => {
+  const { env } = page({ faces: [{ family: "Brand Sans", status: "loaded" }] });
+  const detector = createDetector(env);
+  const span = el("span", { fontFamily: `"Brand Sans", sans-serif` });
+  const c = detector.scoreConfidence(env.getComputedStyle(span), detector.resolveFamily(span), true);
+
+  assert.equal(c.level, "high");
+  assert.equal(c.score, 100);
+  assert.ok(c.signals.every(s => s.value === 1));
+});
+
+test("scoreConfidence: a forced guess from a click point scores low", () => {
+  const { env } = page({ fontFace: ["Declared Only"], fallsBackTo: { "Declared Only": "Arial" } });
+  const detector = createDetector(env);
+  const div = el("div", { fontFamily: "serif" });
+  const r = detector.resolveFamily(div);
+  const c = detector.scoreConfidence(env.getComputedStyle(div), r, false);
+
+  assert.equal(c.level, "low");
+  assert.ok(c.score < 50);
+  assert.ok(c.signals.some(s => /Not in the declared stack \(found by @font-face rules\)/.test(s.label)));
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseFamilies, normalizeWeightNumber, formatWeight, GENERIC_FAMILIES } = require("../lib/families.js");
+
+test("parseFamilies splits a stack and strips quotes", () => {
+  assert.deepEqual(parseFamilies(`"Helvetica Neue", 'Inter Display', Arial , sans-serif`),
+    ["Helvetica Neue", "Inter Display", "Arial", "sans-serif"]);
+});
+
+test("parseFamilies ignores empty entries and non-strings", () => {
+  assert.deepEqual(parseFamilies("Inter,, ,serif"), ["Inter", "serif"]);
+  assert.deepEqual(parseFamilies(undefined), []);
+  assert.deepEqual(parseFamilies(null), []);
+});
+
+test("generic families don't include system-ui", () => {
+  // system-ui is mapped to the platform font instead of being skipped
+  assert.ok(GENERIC_FAMILIES.has("sans-serif"));
+  assert.ok(!GENERIC_FAMILIES.has("system-ui"));
+});
+
+test("normalizeWeightNumber handles keywords, numbers and junk", () => {
+  assert.equal(normalizeWeightNumber("normal"), 400);
+  assert.equal(normalizeWeightNumber("bold"), 700);
+  assert.equal(normalizeWeightNumber("650"), 650);
+  assert.equal(normalizeWeightNumber("950"), 900);
+  assert.equal(normalizeWeightNumber(50), 100);
+  assert.equal(normalizeWeightNumber("lighter"), 400);
+  assert.equal(normalizeWeightNumber(undefined), 400);
+});
+
+test("formatWeight names the nearest standard weight", () => {
+  assert.equal(formatWeight("600"), "600 — Semi Bold");
+  assert.equal(formatWeight("bold"), "700 — Bold");
+  assert.equal(formatWeight("350"), "350 — Regular");
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// settings.js is an ES module shared with the service worker
+const load = () => import("../settings.js");
+
+test("resolveSearchProviders labels the custom entry with the template's host", async () => {
+  const { resolveSearchProviders, SEARCH_PROVIDERS } = await load();
+  const providers = resolveSearchProviders({ searchUrl: "https://www.bing.com/search?q={query}" });
+
+  assert.deepEqual(providers.map(p => p.id), SEARCH_PROVIDERS.map(p => p.id));
+  assert.deepEqual(providers[0], { id: "custom", label: "bing.com (custom)", url: "https://www.bing.com/search?q={query}" });
+});
+
+test("a custom template on a built-in provider's site stays distinguishable", async () => {
+  const { resolveSearchProviders } = await load();
+  const providers = resolveSearchProviders({ searchUrl: "https://fonts.google.com/?query={family}" });
+  const labels = providers.map(p => p.label);
+
+  assert.ok(labels.includes("fonts.google.com (custom)"));
+  assert.equal(new Set(labels).size, labels.length);
+});
+
+test("resolveSearchProviders keeps the generic label when searchUrl doesn't parse", async () => {
+  const { resolveSearchProviders } = await load();
+  const [custom] = resolveSearchProviders({ searchUrl: "not a url" });
+
+  assert.equal(custom.label, "Custom URL template");
+  assert.equal(custom.url, "not a url");
+});
+
+test("resolveSearchProviders returns copies, not the frozen built-ins", async () => {
+  const { resolveSearchProviders, SEARCH_PROVIDERS } = await load();
+  const providers = resolveSearchProviders({ searchUrl: "https://example.com/?q={query}" });
+
+  providers[1].label = "changed";
+  assert.equal(SEARCH_PROVIDERS[1].label, "Google Fonts");
+});
+
+test("sanitizeSettings drops an unknown searchProvider id", async () => {
+  const { sanitizeSettings } = await load();
+
+  assert.deepEqual(sanitizeSettings({ searchProvider: "altavista" }), {});
+  assert.deepEqual(sanitizeSettings({ searchProvider: "fontshare" }), { searchProvider: "fontshare" });
+});
+
+test("sanitizeSettings only accepts http(s) search templates", async () => {
+  const { sanitizeSettings } = await load();
+
+  assert.deepEqual(sanitizeSettings({ searchUrl: "  https://duckduckgo.com/?q={query} " }), { searchUrl: "https://duckduckgo.com/?q={query}" });
+  assert.deepEqual(sanitizeSettings({ searchUrl: "HTTP://example.com/{family}" }), { searchUrl: "HTTP://example.com/{family}" });
+  assert.deepEqual(sanitizeSettings({ searchUrl: "javascript:alert(1)//{query}" }), {});
+  assert.deepEqual(sanitizeSettings({ searchUrl: "ftp://example.com/{query}" }), {});
+  assert.deepEqual(sanitizeSettings({ searchUrl: 42 }), {});
+});